@@ -3,8 +3,71 @@
  * Handles side panel management and cross-script communication
  */
 
+importScripts('rate-limiter.js', 'request-scheduler.js', 'save-queue.js');
+
 class BackgroundService {
   constructor() {
+    // Airtable field names for contact keys the user has not mapped
+    this.defaultContactFieldMappings = {
+      fullName: 'Name',
+      headline: 'Headline',
+      jobTitle: 'Job Title',
+      company: 'Company',
+      location: 'Location',
+      bio: 'Bio',
+      email: 'Email',
+      phone: 'Phone',
+      websites: 'Website',
+      twitter: 'Twitter',
+      birthday: 'Birthday',
+      profileUrl: 'LinkedIn URL',
+      profilePicture: 'Profile Picture',
+      tags: 'Tag',
+      notes: 'Notes',
+      contactDate: 'Contact Date',
+      followUpDate: 'Follow Up On',
+      experience: 'Experience',
+      education: 'Education',
+      skills: 'Skills',
+      certifications: 'Certifications',
+      languages: 'Languages',
+      volunteer: 'Volunteer',
+      followerCount: 'Followers',
+      connectionCount: 'Connections',
+      openToWork: 'Open to Work',
+      hiring: 'Hiring',
+      premium: 'Premium',
+      creator: 'Creator Mode',
+      salesNavigatorUrl: 'Sales Navigator URL',
+      roleTenure: 'Tenure in Role',
+      companyTenure: 'Tenure at Company',
+      recruiterUrl: 'Recruiter URL',
+      recruiterProjects: 'Recruiter Projects',
+      pipelineStage: 'Pipeline Stage'
+    };
+    // How saving into an existing record treats each contact field; the rest are overwritten
+    this.defaultMergeRules = {
+      notes: 'append',
+      tags: 'union'
+    };
+    // Companies go to their own table, so they have their own default field names
+    this.defaultCompanyFieldMappings = {
+      name: 'Name',
+      industry: 'Industry',
+      companySize: 'Company Size',
+      headquarters: 'Headquarters',
+      website: 'Website',
+      followerCount: 'Followers',
+      description: 'Description',
+      profileUrl: 'LinkedIn URL'
+    };
+    // Every Airtable request goes through here to stay under the per-base rate limit
+    this.requestScheduler = new RequestScheduler();
+    // Airtable creates or updates at most 10 records per request
+    this.BATCH_SIZE = 10;
+    // Saves that failed on network errors or rate limits, retried on an alarm
+    this.saveQueue = new SaveQueueService();
+    this.processingSaveQueue = false;
     this.init();
   }
 
@@ -15,6 +78,7 @@ class BackgroundService {
     this.setupMessageListener();
     this.setupTabListener();
     this.setupActionListener();
+    this.setupAlarmListener();
   }
 
   /**
@@ -35,7 +99,29 @@ class BackgroundService {
       switch (request.action) {
         case 'saveToAirtable':
           const result = await this.saveToAirtable(request.data, request.config, request.fieldMappings);
-          sendResponse(result);
+          sendResponse(await this.queueIfRetryable('contact', request.data, request.fieldMappings, result));
+          break;
+
+        case 'saveManyToAirtable':
+          const batchResult = await this.saveManyToAirtable(request.contacts, request.config, request.fieldMappings);
+          sendResponse(batchResult);
+          break;
+
+        case 'saveCompanyToAirtable':
+          const companyResult = await this.saveCompanyToAirtable(request.data, request.config, request.fieldMappings);
+          sendResponse(await this.queueIfRetryable('company', request.data, request.fieldMappings, companyResult));
+          break;
+
+        case 'retrySaveQueue':
+          await this.saveQueue.markForRetry(request.ids || null);
+          await this.processSaveQueue();
+          sendResponse({ success: true });
+          break;
+
+        case 'discardSaveQueueItem':
+          await this.saveQueue.remove(request.id);
+          await this.scheduleSaveQueue();
+          sendResponse({ success: true });
           break;
 
         case 'testAirtableConnection':
@@ -79,6 +165,17 @@ class BackgroundService {
     });
   }
 
+  /**
+   * Retry the save queue when its alarm fires
+   */
+  setupAlarmListener() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === this.saveQueue.ALARM_NAME) {
+        this.processSaveQueue();
+      }
+    });
+  }
+
   /**
    * Check if URL is a LinkedIn profile page
    */
@@ -101,8 +198,9 @@ class BackgroundService {
 
   /**
    * Save contact data to Airtable
+   * @param {Object} [defaultMappings] - field names used for keys without a user mapping (contact defaults if omitted)
    */
-  async saveToAirtable(contactData, config, fieldMappings = null) {
+  async saveToAirtable(contactData, config, fieldMappings = null, defaultMappings = null) {
     // Use provided fieldMappings or fall back to default
     const mappings = fieldMappings || {};
     if (!config.apiToken || !config.baseId || !config.tableId) {
@@ -112,118 +210,59 @@ class BackgroundService {
       };
     }
 
-    const url = `https://api.airtable.com/v0/${config.baseId}/${config.tableId}?typecast=true`;
-
-    let responseData = null;
     let fields = {};
     let validFields = {};
-    let excludedFields = [];
 
     try {
-      // Fetch schema to ensure we have latest field types
-      const schema = await this.fetchTableSchema(config);
-
-      // Transform data for Airtable format
-      fields = this.mapContactDataToAirtable(contactData, mappings);
-
-      console.log('Mapped fields for Airtable (before transformation):', JSON.stringify(fields, null, 2));
-
-      // Transform field values to match Airtable field types
-      fields = await this.transformFieldsForAirtable(fields, config);
+      const prepared = await this.prepareRecordFields(contactData, config, mappings, defaultMappings);
+      fields = prepared.fields;
+      validFields = prepared.validFields;
+      const excludedFields = prepared.excludedFields;
+      const missingFields = prepared.missingFields;
 
-      console.log('Transformed fields for Airtable:', JSON.stringify(fields, null, 2));
-
-      // Validate and filter fields based on schema
-      const validationResult = this.validateAndFilterFields(fields, schema);
-      validFields = validationResult.validFields;
-      excludedFields = validationResult.excludedFields;
-
-      console.log('Valid fields after validation:', JSON.stringify(validFields, null, 2));
-      if (excludedFields.length > 0) {
-        console.warn('Excluded fields due to validation issues:', excludedFields);
-      }
-
-      console.log('Final fields to send:', JSON.stringify(validFields, null, 2));
-      console.log('Request URL:', url);
-      console.log('Request body:', JSON.stringify({ fields: validFields }, null, 2));
-
-      // Check for existing record if duplicate prevention is enabled
+      // With duplicate prevention on, let Airtable match and write in one upsert request
       const preventDuplicates = config.preventDuplicates !== false;
-      let existingRecord = null;
-      let isUpdate = false;
-
-      if (preventDuplicates && contactData.profileUrl) {
-        console.log('Checking for existing record with LinkedIn URL:', contactData.profileUrl);
-        existingRecord = await this.findExistingRecord(contactData.profileUrl, config);
-      }
-
-      let result;
-      if (existingRecord) {
-        console.log('Updating existing record:', existingRecord.id);
-        result = await this.updateRecord(existingRecord.id, validFields, config);
-        isUpdate = true;
+      const mergeField = preventDuplicates ? this.getMergeField(validFields, config, mappings, defaultMappings) : null;
+
+      if (mergeField) {
+        // Merge rules are set per contact field; company saves overwrite
+        const mergeRules = defaultMappings ? {} : await this.loadMergeRules(mappings, config);
+        const merged = await this.mergeWithExistingRecords([validFields], mergeField, mergeRules, config);
+        if (!merged.success) {
+          return merged;
+        }
+        [validFields] = merged.fieldsList;
+        console.log(`Upserting record on "${mergeField}":`, validFields[mergeField]);
       } else {
         console.log('Creating new record');
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${config.apiToken}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            fields: validFields
-          })
-        });
-
-        // Always try to get response data, even if response is not ok
-        try {
-          responseData = await response.json();
-        } catch (jsonError) {
-          console.warn('Failed to parse response JSON:', jsonError);
-          responseData = {};
-        }
-
-        if (!response.ok) {
-          const errorInfo = this.parseAirtableError(
-            new Error(`HTTP ${response.status}: ${response.statusText}`),
-            responseData,
-            fields
-          );
-
-          return {
-            success: false,
-            error: errorInfo.message,
-            unknownFields: errorInfo.unknownFields,
-            fieldErrors: errorInfo.fieldErrors
-          };
-        }
-
-        result = {
-          success: true,
-          recordId: responseData.id,
-          message: 'Contact saved successfully to Airtable',
-          excludedFields: excludedFields
-        };
       }
 
+      const result = await this.writeRecords([validFields], mergeField ? [mergeField] : null, config);
+
       if (!result.success) {
         return result;
       }
 
+      const { id: recordId, isUpdate } = result.records[0];
+
       // Build success message with exclusion info
       let message = isUpdate
-        ? 'Contact updated successfully in Airtable'
-        : 'Contact saved successfully to Airtable';
+        ? `Contact updated successfully in Airtable (${recordId})`
+        : `Contact saved successfully to Airtable (${recordId})`;
 
       if (excludedFields.length > 0) {
         message += ` (${excludedFields.length} field${excludedFields.length > 1 ? 's' : ''} excluded due to type mismatches)`;
       }
+      if (missingFields.length > 0) {
+        message += ` (not in table: ${missingFields.join(', ')})`;
+      }
 
       return {
         success: true,
-        recordId: result.recordId,
+        recordId: recordId,
         message: message,
         excludedFields: excludedFields,
+        missingFields: missingFields,
         isUpdate: isUpdate
       };
 
@@ -231,15 +270,309 @@ class BackgroundService {
       console.error('Airtable save error:', error);
 
       // Provide specific error messages for common issues
-      const errorInfo = this.parseAirtableError(error, responseData, validFields || fields);
+      const errorInfo = this.parseAirtableError(error, null, validFields || fields);
 
       return {
         success: false,
         error: errorInfo.message,
         unknownFields: errorInfo.unknownFields,
-        fieldErrors: errorInfo.fieldErrors
+        fieldErrors: errorInfo.fieldErrors,
+        retryable: this.isNetworkError(error)
+      };
+    }
+  }
+
+  /**
+   * Map, transform and validate a record's fields against the table schema.
+   * Default mappings to columns the table does not have are skipped quietly;
+   * columns the user mapped but the table lacks are listed in missingFields.
+   * @returns {Promise<{fields: Object, validFields: Object, excludedFields: Array, missingFields: string[]}>}
+   */
+  async prepareRecordFields(contactData, config, mappings, defaultMappings = null) {
+    // Fetch schema to ensure we have latest field types
+    const schema = await this.fetchTableSchema(config);
+
+    // Transform data for Airtable format
+    let fields = this.mapContactDataToAirtable(contactData, mappings, defaultMappings, schema);
+
+    console.log('Mapped fields for Airtable (before transformation):', JSON.stringify(fields, null, 2));
+
+    // Transform field values to match Airtable field types
+    fields = await this.transformFieldsForAirtable(fields, config);
+
+    console.log('Transformed fields for Airtable:', JSON.stringify(fields, null, 2));
+
+    // Validate and filter fields based on schema
+    const { validFields, excludedFields, missingFields } = this.validateAndFilterFields(fields, schema);
+    const userMappedFields = new Set(Object.values(mappings || {}));
+
+    console.log('Valid fields after validation:', JSON.stringify(validFields, null, 2));
+    if (excludedFields.length > 0) {
+      console.warn('Excluded fields due to validation issues:', excludedFields);
+    }
+
+    return { fields, validFields, excludedFields, missingFields: missingFields.filter(fieldName => userMappedFields.has(fieldName)) };
+  }
+
+  /**
+   * Save records with Airtable's batch endpoints, up to 10 per request. Records are
+   * grouped by the field they are matched on, as one upsert request merges on one
+   * set of fields. A batch Airtable rejects is saved again record by record so only
+   * the bad records fail; a batch that failed on the network or a rate limit is not,
+   * since its records would fail the same way.
+   * @returns {Promise<Array<Object>>} One saveToAirtable-style result per record, in input order
+   */
+  async saveRecordsInBatches(records, config, fieldMappings = null, defaultMappings = null) {
+    const mappings = fieldMappings || {};
+    if (!config.apiToken || !config.baseId || !config.tableId) {
+      return records.map(() => ({ success: false, error: 'Airtable configuration is incomplete' }));
+    }
+
+    const results = new Array(records.length);
+    const groups = new Map();
+    const preventDuplicates = config.preventDuplicates !== false;
+    // Merge rules are set per contact field; company saves overwrite
+    const mergeRules = defaultMappings ? {} : await this.loadMergeRules(mappings, config);
+
+    for (const [index, record] of records.entries()) {
+      try {
+        const { validFields, excludedFields, missingFields } = await this.prepareRecordFields(record, config, mappings, defaultMappings);
+        const mergeField = preventDuplicates ? this.getMergeField(validFields, config, mappings, defaultMappings) : null;
+
+        if (!groups.has(mergeField)) groups.set(mergeField, []);
+        groups.get(mergeField).push({ index, validFields, excludedFields, missingFields });
+      } catch (error) {
+        console.error('Could not prepare record for Airtable:', error);
+        results[index] = {
+          success: false,
+          error: this.parseAirtableError(error).message,
+          retryable: this.isNetworkError(error)
+        };
+      }
+    }
+
+    const saved = (entry, record) => ({
+      success: true,
+      recordId: record.id,
+      isUpdate: record.isUpdate,
+      excludedFields: entry.excludedFields,
+      missingFields: entry.missingFields
+    });
+
+    for (const [mergeField, entries] of groups) {
+      const fieldsToMergeOn = mergeField ? [mergeField] : null;
+
+      for (let start = 0; start < entries.length; start += this.BATCH_SIZE) {
+        const batch = entries.slice(start, start + this.BATCH_SIZE);
+
+        if (mergeField) {
+          const merged = await this.mergeWithExistingRecords(batch.map(entry => entry.validFields), mergeField, mergeRules, config);
+          if (!merged.success) {
+            batch.forEach(entry => { results[entry.index] = merged; });
+            continue;
+          }
+          batch.forEach((entry, position) => { entry.validFields = merged.fieldsList[position]; });
+        }
+
+        const result = await this.writeRecords(batch.map(entry => entry.validFields), fieldsToMergeOn, config);
+
+        if (result.success) {
+          batch.forEach((entry, position) => { results[entry.index] = saved(entry, result.records[position]); });
+        } else if (batch.length > 1 && !result.retryable) {
+          console.warn(`Airtable rejected a batch of ${batch.length}, saving its records one by one:`, result.error);
+
+          for (const entry of batch) {
+            const single = await this.writeRecords([entry.validFields], fieldsToMergeOn, config);
+            results[entry.index] = single.success ? saved(entry, single.records[0]) : single;
+          }
+        } else {
+          batch.forEach(entry => { results[entry.index] = result; });
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Save several contacts (e.g. ticked search results) in batches, reporting the
+   * outcome for each so a failure does not stop the rest
+   */
+  async saveManyToAirtable(contacts, config, fieldMappings = null) {
+    const batchResults = await this.saveRecordsInBatches(contacts || [], config, fieldMappings);
+    const results = [];
+
+    for (const [index, contact] of (contacts || []).entries()) {
+      const result = await this.queueIfRetryable('contact', contact, fieldMappings, batchResults[index]);
+      results.push({
+        profileUrl: contact.profileUrl,
+        fullName: contact.fullName,
+        success: result.success,
+        recordId: result.recordId,
+        isUpdate: result.isUpdate === true,
+        queued: result.queued === true,
+        error: result.error
+      });
+    }
+
+    const savedCount = results.filter(result => result.success).length;
+    const updatedCount = results.filter(result => result.success && result.isUpdate).length;
+    const queuedCount = results.filter(result => result.queued).length;
+    const failedCount = results.length - savedCount - queuedCount;
+    console.log(`Saved ${savedCount} of ${results.length} contacts`, results);
+
+    let message = failedCount === 0 && queuedCount === 0
+      ? `${savedCount} contact${savedCount === 1 ? '' : 's'} saved to Airtable`
+      : `Saved ${savedCount} of ${results.length} contacts`;
+    if (savedCount > 0) message += ` (${savedCount - updatedCount} created, ${updatedCount} updated)`;
+    if (queuedCount > 0) message += `, ${queuedCount} queued for retry`;
+    if (failedCount > 0) message += `, ${failedCount} failed`;
+
+    return {
+      success: failedCount === 0 && queuedCount === 0,
+      savedCount: savedCount,
+      createdCount: savedCount - updatedCount,
+      updatedCount: updatedCount,
+      queuedCount: queuedCount,
+      failedCount: failedCount,
+      results: results,
+      message: message
+    };
+  }
+
+  /**
+   * Save a company page to the Companies table (config.companyTableId),
+   * with the same duplicate handling as contacts
+   */
+  async saveCompanyToAirtable(companyData, config, fieldMappings = null) {
+    if (!config.companyTableId) {
+      return {
+        success: false,
+        error: 'No Companies table configured'
       };
     }
+
+    const companyConfig = { ...config, tableId: config.companyTableId };
+    const result = await this.saveToAirtable(companyData, companyConfig, fieldMappings, this.defaultCompanyFieldMappings);
+
+    if (result.success) {
+      result.message = result.message.replace(/^Contact/, 'Company');
+    }
+    return result;
+  }
+
+  /**
+   * Put a save that failed for a passing reason (network, rate limit, server error)
+   * in the save queue and mark the result as queued
+   * @param {string} kind - 'contact' or 'company'
+   */
+  async queueIfRetryable(kind, data, fieldMappings, result) {
+    if (result.success || !result.retryable || !data) {
+      return result;
+    }
+
+    try {
+      const item = await this.saveQueue.enqueue(kind, data, fieldMappings, result.error);
+      await this.scheduleSaveQueue();
+      console.log(`📥 Queued failed ${kind} save for retry:`, item.id);
+      return { ...result, queued: true };
+    } catch (error) {
+      console.error('Could not queue failed save:', error);
+      return result;
+    }
+  }
+
+  /**
+   * Retry every due item in the save queue with the current configuration,
+   * then schedule the alarm for the next pending item
+   */
+  async processSaveQueue() {
+    if (this.processingSaveQueue) return;
+    this.processingSaveQueue = true;
+
+    try {
+      const { airtableConfig: config } = await chrome.storage.sync.get(['airtableConfig']);
+      const dueItems = this.saveQueue.getDueItems(await this.saveQueue.getQueue());
+
+      if (dueItems.length === 0) {
+        return;
+      }
+
+      // Without a configuration the items back off like any failed attempt, so the alarm does not fire again at once
+      if (!config) {
+        for (const item of dueItems) {
+          await this.saveQueue.recordFailure(item.id, 'Airtable is not configured', true);
+        }
+        return;
+      }
+
+      console.log(`🔁 Retrying ${dueItems.length} queued save${dueItems.length === 1 ? '' : 's'}`);
+
+      // Items saved to the same table with the same mappings are replayed in batches
+      const groups = new Map();
+      dueItems.forEach(item => {
+        const key = `${item.kind}:${JSON.stringify(item.fieldMappings || {})}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+      });
+
+      for (const items of groups.values()) {
+        const isCompany = items[0].kind === 'company';
+        const results = await this.saveRecordsInBatches(
+          items.map(item => item.data),
+          isCompany ? { ...config, tableId: config.companyTableId } : config,
+          items[0].fieldMappings,
+          isCompany ? this.defaultCompanyFieldMappings : null
+        );
+
+        for (const [index, item] of items.entries()) {
+          const result = results[index];
+
+          if (result.success) {
+            await this.saveQueue.remove(item.id);
+            console.log(`✅ Queued ${item.kind} saved:`, item.data.fullName || item.data.name || item.data.profileUrl);
+          } else {
+            const updated = await this.saveQueue.recordFailure(item.id, result.error, result.retryable === true);
+            console.warn(`Queued ${item.kind} save failed (attempt ${updated?.attempts}):`, result.error);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Save queue error:', error);
+    } finally {
+      this.processingSaveQueue = false;
+      await this.scheduleSaveQueue();
+    }
+  }
+
+  /**
+   * Set the retry alarm for the earliest pending item, or clear it when nothing is waiting
+   */
+  async scheduleSaveQueue() {
+    const nextAttemptAt = this.saveQueue.getNextAttemptAt(await this.saveQueue.getQueue());
+
+    if (nextAttemptAt === null) {
+      await chrome.alarms.clear(this.saveQueue.ALARM_NAME);
+      return;
+    }
+
+    await chrome.alarms.create(this.saveQueue.ALARM_NAME, {
+      when: Math.max(nextAttemptAt, Date.now() + 1000)
+    });
+  }
+
+  /**
+   * Failures worth retrying later: rate limits and Airtable server errors
+   */
+  isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * fetch() rejects with a TypeError when the network is down or the request is blocked
+   */
+  isNetworkError(error) {
+    return error?.name === 'TypeError' && /fetch|network/i.test(error.message);
   }
 
   /**
@@ -258,7 +591,7 @@ class BackgroundService {
     try {
       const url = `https://api.airtable.com/v0/${config.baseId}/${config.tableId}?maxRecords=1`;
       
-      const response = await fetch(url, {
+      const response = await this.requestScheduler.fetch(config.baseId, url, {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${config.apiToken}`
@@ -314,33 +647,27 @@ class BackgroundService {
 
   /**
    * Map contact data to Airtable fields using user-defined mappings
+   * @param {Object} [schema] - field types of the table, used to decide which false flags to send
    */
-  mapContactDataToAirtable(contactData, fieldMappings) {
-    const defaultMappings = {
-      fullName: 'Name',
-      jobTitle: 'Job Title',
-      company: 'Company',
-      location: 'Location',
-      email: 'Email',
-      phone: 'Phone',
-      profileUrl: 'LinkedIn URL',
-      profilePicture: 'Profile Picture',
-      tags: 'Tag',
-      notes: 'Notes',
-      contactDate: 'Contact Date',
-      followUpDate: 'Follow Up On'
-    };
+  mapContactDataToAirtable(contactData, fieldMappings, baseMappings = null, schema = null) {
 
-    const mappings = { ...defaultMappings, ...fieldMappings };
+    const mappings = { ...(baseMappings || this.defaultContactFieldMappings), ...fieldMappings };
     const fields = {};
 
     Object.keys(mappings).forEach(dataKey => {
       const airtableField = mappings[dataKey];
+      const value = contactData[dataKey];
+      const isEmptyList = Array.isArray(value) && value.length === 0;
+      // A false flag clears "Open to work" etc. on update, but only in a column the
+      // table has or the user mapped; otherwise it is left out like an empty value
+      const isClearedFlag = value === false &&
+        (Boolean(fieldMappings && fieldMappings[dataKey]) || Boolean(schema && schema[airtableField]));
+      const hasValue = value === true || isClearedFlag || (value && value !== '' && !isEmptyList);
       // Only include fields that have non-empty values
-      if (airtableField && contactData[dataKey] && contactData[dataKey] !== '') {
+      if (airtableField && hasValue) {
         // Sanitize the data before mapping
-        fields[airtableField] = this.sanitizeValue(contactData[dataKey]);
-      } else if (airtableField && !contactData[dataKey]) {
+        fields[airtableField] = this.sanitizeValue(value);
+      } else if (airtableField) {
         console.log(`Skipping field "${airtableField}" - no data for ${dataKey}`);
       }
     });
@@ -367,8 +694,8 @@ class BackgroundService {
       // Remove null bytes
       sanitized = sanitized.replace(/\0/g, '');
 
-      // Remove excessive whitespace
-      sanitized = sanitized.replace(/\s+/g, ' ');
+      // Remove excessive whitespace, keeping line breaks for long text fields
+      sanitized = sanitized.replace(/\r\n?/g, '\n').replace(/[^\S\n]+/g, ' ');
 
       // Limit length to prevent oversized data (Airtable has limits)
       const maxLength = 100000; // Airtable's max text length
@@ -398,11 +725,13 @@ class BackgroundService {
   }
 
   /**
-   * Validate and filter fields based on Airtable schema
+   * Validate and filter fields based on Airtable schema. Fields the table has no
+   * column for are returned in missingFields rather than as type mismatches.
    */
   validateAndFilterFields(fields, schema) {
     const validFields = {};
     const excludedFields = [];
+    const missingFields = [];
 
     for (const [fieldName, value] of Object.entries(fields)) {
       // Skip empty values
@@ -421,12 +750,8 @@ class BackgroundService {
 
       // Check if field exists in schema
       if (!fieldType) {
-        console.warn(`Field "${fieldName}" not found in Airtable schema, excluding`);
-        excludedFields.push({
-          field: fieldName,
-          reason: 'Field does not exist in Airtable table',
-          value: value
-        });
+        console.log(`Field "${fieldName}" not found in Airtable schema, skipping`);
+        missingFields.push(fieldName);
         continue;
       }
 
@@ -464,7 +789,7 @@ class BackgroundService {
       }
     }
 
-    return { validFields, excludedFields };
+    return { validFields, excludedFields, missingFields };
   }
 
   /**
@@ -603,13 +928,18 @@ class BackgroundService {
       console.log(`Processing field: ${fieldName}, type: ${fieldType || 'unknown'}, value:`, value);
 
       try {
+        // Structured lists (experience, ...) are flattened before type handling
+        const fieldValue = this.isStructuredList(value)
+          ? this.formatStructuredEntries(value, fieldType)
+          : value;
+
         // Transform based on field type
         let transformedValue;
         if (fieldType) {
-          transformedValue = this.transformByFieldType(fieldName, value, fieldType);
+          transformedValue = this.transformByFieldType(fieldName, fieldValue, fieldType);
         } else {
           // Fallback to heuristic-based transformation
-          transformedValue = this.transformByHeuristic(fieldName, value);
+          transformedValue = this.transformByHeuristic(fieldName, fieldValue);
         }
 
         // Only include field if transformation didn't return null (null means exclude)
@@ -628,6 +958,48 @@ class BackgroundService {
     return transformedFields;
   }
 
+  /**
+   * Check if a value is a list of structured entries (e.g. experience positions)
+   */
+  isStructuredList(value) {
+    return Array.isArray(value) && value.some(entry => typeof entry === 'object' && entry !== null);
+  }
+
+  /**
+   * Flatten structured entries into a value the Airtable field type accepts.
+   * Select fields get one option per entry (its first value), linked record fields
+   * one summary line per entry (created via typecast), and text fields a readable list.
+   */
+  formatStructuredEntries(entries, fieldType) {
+    const objects = entries.filter(entry => typeof entry === 'object' && entry !== null);
+
+    const summarize = (entry) => Object.entries(entry)
+      .filter(([key, value]) => key !== 'description' && value !== '' && value !== null && value !== undefined)
+      .map(([, value]) => String(value))
+      .join(' · ');
+
+    switch (fieldType) {
+      case 'multipleSelects':
+      case 'singleSelect':
+        return objects
+          .map(entry => Object.values(entry).find(value => value !== '' && value !== null && value !== undefined))
+          .filter(label => label !== undefined)
+          .map(label => String(label));
+
+      case 'multipleRecordLinks':
+        return objects.map(summarize).filter(summary => summary);
+
+      case 'singleLineText':
+        return objects.map(summarize).join('; ');
+
+      default:
+        // Long text (or unknown schema): one block per entry, description underneath
+        return objects
+          .map(entry => entry.description ? `${summarize(entry)}\n${entry.description}` : summarize(entry))
+          .join('\n\n');
+    }
+  }
+
   /**
    * Transform value based on known Airtable field type
    */
@@ -718,8 +1090,11 @@ class BackgroundService {
         // Remove any surrounding quotes
         return singleValue.replace(/^["']+|["']+$/g, '').trim();
 
-      case 'multilineText':
       case 'singleLineText':
+        // Single line text cannot hold line breaks
+        return String(value).replace(/^["']+|["']+$/g, '').replace(/\s+/g, ' ').trim();
+
+      case 'multilineText':
       case 'richText':
         // Text fields should be strings with quotes removed
         return String(value).replace(/^["']+|["']+$/g, '').trim();
@@ -814,7 +1189,7 @@ class BackgroundService {
 
       console.log('Fetching Airtable schema from API...');
 
-      const response = await fetch(url, {
+      const response = await this.requestScheduler.fetch(config.baseId, url, {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${config.apiToken}`
@@ -911,19 +1286,24 @@ class BackgroundService {
   }
 
   /**
-   * Find existing record by LinkedIn URL to prevent duplicates
+   * Find existing records whose fieldName matches one of the values, in one request
+   * @returns {Promise<Object>} { success, records } with records by their fieldName value, or the error
    */
-  async findExistingRecord(profileUrl, config) {
-    if (!profileUrl || !profileUrl.trim()) {
-      return null;
+  async findExistingRecords(values, config, fieldName = 'LinkedIn URL') {
+    const found = new Map();
+    const wanted = [...new Set(values.filter(value => typeof value === 'string' && value.trim()))];
+    if (wanted.length === 0) {
+      return { success: true, records: found };
     }
 
     try {
-      // Use Airtable's filter API to search for records with matching LinkedIn URL
-      const encodedUrl = encodeURIComponent(`{LinkedIn URL} = '${profileUrl}'`);
-      const searchUrl = `https://api.airtable.com/v0/${config.baseId}/${config.tableId}?filterByFormula=${encodedUrl}`;
+      // Use Airtable's filter API to search for records with a matching value
+      const quote = value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+      const conditions = wanted.map(value => `{${fieldName}} = ${quote(value)}`);
+      const formula = conditions.length === 1 ? conditions[0] : `OR(${conditions.join(', ')})`;
+      const searchUrl = `https://api.airtable.com/v0/${config.baseId}/${config.tableId}?filterByFormula=${encodeURIComponent(formula)}`;
 
-      const response = await fetch(searchUrl, {
+      const response = await this.requestScheduler.fetch(config.baseId, searchUrl, {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${config.apiToken}`
@@ -931,47 +1311,179 @@ class BackgroundService {
       });
 
       if (!response.ok) {
-        console.warn('Could not search for existing record:', response.status);
-        return null;
+        console.warn('Could not search for existing records:', response.status);
+        const responseData = await response.json().catch(() => ({}));
+        const errorInfo = this.parseAirtableError(new Error(`HTTP ${response.status}: ${response.statusText}`), responseData);
+
+        return {
+          success: false,
+          error: errorInfo.message,
+          retryable: this.isRetryableStatus(response.status)
+        };
       }
 
       const data = await response.json();
 
-      if (data.records && data.records.length > 0) {
-        console.log(`Found existing record for profile: ${profileUrl}`);
-        return data.records[0];
-      }
+      (data.records || []).forEach(record => {
+        const value = record.fields?.[fieldName];
+        if (value && !found.has(value)) {
+          found.set(value, record);
+        }
+      });
 
-      return null;
+      console.log(`Found ${found.size} existing record${found.size === 1 ? '' : 's'} by ${fieldName}`);
+      return { success: true, records: found };
     } catch (error) {
-      console.warn('Error searching for existing record:', error);
-      return null;
+      console.warn('Error searching for existing records:', error);
+
+      return {
+        success: false,
+        error: this.parseAirtableError(error).message,
+        retryable: this.isNetworkError(error)
+      };
     }
   }
 
   /**
-   * Update an existing Airtable record
+   * Merge rules for contact saves, keyed by Airtable field name. Fields without
+   * a rule (or set to 'overwrite') are simply overwritten, so they are left out,
+   * as are the fields records can be matched on: an upsert must always send them.
    */
-  async updateRecord(recordId, fields, config) {
-    try {
-      const url = `https://api.airtable.com/v0/${config.baseId}/${config.tableId}/${recordId}?typecast=true`;
+  async loadMergeRules(fieldMappings, config) {
+    const { fieldMergeRules } = await chrome.storage.sync.get(['fieldMergeRules']);
+    const rules = { ...this.defaultMergeRules, ...fieldMergeRules };
+    const mappings = { ...this.defaultContactFieldMappings, ...fieldMappings };
+    const mergeKeys = new Set([mappings.profileUrl, mappings[config.mergeOn || 'profileUrl']]);
+
+    return Object.fromEntries(Object.entries(rules)
+      .filter(([dataKey, rule]) => rule !== 'overwrite' && mappings[dataKey] && !mergeKeys.has(mappings[dataKey]))
+      .map(([dataKey, rule]) => [mappings[dataKey], rule]));
+  }
+
+  /**
+   * Apply the merge rules against the records Airtable already has, matched on
+   * mergeField. Records are only looked up when a rule covers a field being written.
+   * If the lookup fails the records must not be written, as the upsert would
+   * overwrite the fields the rules protect.
+   * @returns {Promise<Object>} { success, fieldsList } with the fields to write in the order given, or the lookup error
+   */
+  async mergeWithExistingRecords(fieldsList, mergeField, mergeRules, config) {
+    const ruleFields = Object.keys(mergeRules);
+    if (!fieldsList.some(fields => ruleFields.some(fieldName => fieldName in fields))) {
+      return { success: true, fieldsList: fieldsList };
+    }
+
+    const existing = await this.findExistingRecords(fieldsList.map(fields => fields[mergeField]), config, mergeField);
+    if (!existing.success) {
+      return existing;
+    }
 
-      const response = await fetch(url, {
-        method: 'PATCH',
+    return {
+      success: true,
+      fieldsList: fieldsList.map(fields => {
+        const record = existing.records.get(fields[mergeField]);
+        return record ? this.applyMergeRules(fields, record.fields || {}, mergeRules, mergeField) : fields;
+      })
+    };
+  }
+
+  /**
+   * Combine new field values with an existing record's:
+   * - keepExisting: never change the field on an existing record, even when it is
+   *   empty there (an empty field may be deliberate); fillIfEmpty is the rule that fills it
+   * - fillIfEmpty: only write the field when the record has no value
+   * - append: add the new text under the old one with a timestamp, unless it is already there
+   * - union: combine multi-select (or comma-separated) values
+   * The mergeField is always written as it is, since the upsert matches on it.
+   */
+  applyMergeRules(fields, existingFields, mergeRules, mergeField = null) {
+    const merged = { ...fields };
+    const isEmpty = value => value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+    const toList = value => Array.isArray(value)
+      ? value
+      : String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+    Object.entries(mergeRules).forEach(([fieldName, rule]) => {
+      if (!(fieldName in merged) || fieldName === mergeField) return;
+
+      const value = merged[fieldName];
+      const existing = existingFields[fieldName];
+
+      if (rule === 'keepExisting') {
+        delete merged[fieldName];
+      } else if (isEmpty(existing)) {
+        // Every other rule writes the new value into an empty field
+      } else if (rule === 'fillIfEmpty') {
+        delete merged[fieldName];
+      } else if (rule === 'append') {
+        if (String(existing).includes(String(value))) {
+          delete merged[fieldName];
+        } else {
+          merged[fieldName] = `${existing}\n\n[${this.formatTimestamp(new Date())}] ${value}`;
+        }
+      } else if (rule === 'union') {
+        const union = [...new Set([...toList(existing), ...toList(value)])];
+        merged[fieldName] = Array.isArray(value) || Array.isArray(existing) ? union : union.join(', ');
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Local "YYYY-MM-DD HH:MM" for appended notes
+   */
+  formatTimestamp(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * Airtable field to match existing records on: the one mapped to config.mergeOn
+   * ('profileUrl' by default, or 'email'), falling back to the LinkedIn URL when the
+   * record has no value for it. Null when neither has a value.
+   */
+  getMergeField(fields, config, fieldMappings, baseMappings = null) {
+    const mappings = { ...(baseMappings || this.defaultContactFieldMappings), ...fieldMappings };
+    const candidates = [mappings[config.mergeOn || 'profileUrl'], mappings.profileUrl];
+
+    return candidates.find(fieldName => fieldName && fields[fieldName]) || null;
+  }
+
+  /**
+   * Create up to 10 records in one request, or upsert them on fieldsToMergeOn with
+   * Airtable's performUpsert. Airtable accepts or rejects the request as a whole.
+   * @returns {Promise<Object>} { success, records: [{ id, isUpdate }] } in request order, or the error
+   */
+  async writeRecords(fieldsList, fieldsToMergeOn, config) {
+    const url = `https://api.airtable.com/v0/${config.baseId}/${config.tableId}`;
+    const body = {
+      records: fieldsList.map(fields => ({ fields: fields })),
+      typecast: true
+    };
+    if (fieldsToMergeOn) {
+      body.performUpsert = { fieldsToMergeOn: fieldsToMergeOn };
+    }
+    // Errors name the record's fields when there is only one
+    const sentFields = fieldsList.length === 1 ? fieldsList[0] : fieldsList;
+
+    try {
+      const response = await this.requestScheduler.fetch(config.baseId, url, {
+        method: fieldsToMergeOn ? 'PATCH' : 'POST',
         headers: {
           'Authorization': `Bearer ${config.apiToken}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          fields: fields
-        })
+        body: JSON.stringify(body)
       });
 
+      // Always try to get response data, even if response is not ok
       let responseData = null;
       try {
         responseData = await response.json();
       } catch (jsonError) {
-        console.warn('Failed to parse update response JSON:', jsonError);
+        console.warn('Failed to parse response JSON:', jsonError);
         responseData = {};
       }
 
@@ -979,33 +1491,40 @@ class BackgroundService {
         const errorInfo = this.parseAirtableError(
           new Error(`HTTP ${response.status}: ${response.statusText}`),
           responseData,
-          fields
+          sentFields
         );
 
         return {
           success: false,
           error: errorInfo.message,
           unknownFields: errorInfo.unknownFields,
-          fieldErrors: errorInfo.fieldErrors
+          fieldErrors: errorInfo.fieldErrors,
+          retryable: this.isRetryableStatus(response.status)
         };
       }
 
+      const updatedIds = new Set(responseData.updatedRecords || []);
+      const records = (responseData.records || []).map(record => ({
+        id: record.id,
+        isUpdate: updatedIds.has(record.id)
+      }));
+      console.log(`Wrote ${records.length} record${records.length === 1 ? '' : 's'} (${updatedIds.size} updated)`);
+
       return {
         success: true,
-        recordId: responseData.id,
-        message: 'Contact updated successfully in Airtable',
-        isUpdate: true
+        records: records
       };
     } catch (error) {
-      console.error('Airtable update error:', error);
+      console.error('Airtable write error:', error);
 
-      const errorInfo = this.parseAirtableError(error, null, fields);
+      const errorInfo = this.parseAirtableError(error, null, sentFields);
 
       return {
         success: false,
         error: errorInfo.message,
         unknownFields: errorInfo.unknownFields,
-        fieldErrors: errorInfo.fieldErrors
+        fieldErrors: errorInfo.fieldErrors,
+        retryable: this.isNetworkError(error)
       };
     }
   }
@@ -1228,7 +1747,10 @@ class BackgroundService {
       const url = `https://api.airtable.com/v0/${config.baseId}/${config.tableId}?typecast=true`;
 
       // Create test fields using current mappings
-      const testFields = this.mapContactDataToAirtable(sampleData, fieldMappings);
+      const testFields = await this.transformFieldsForAirtable(
+        this.mapContactDataToAirtable(sampleData, fieldMappings),
+        config
+      );
       
       // Add test prefix to avoid saving real data
       Object.keys(testFields).forEach(key => {
@@ -1237,7 +1759,7 @@ class BackgroundService {
         }
       });
 
-      const response = await fetch(url, {
+      const response = await this.requestScheduler.fetch(config.baseId, url, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${config.apiToken}`,
@@ -1270,7 +1792,7 @@ class BackgroundService {
       // Delete the test record to keep the table clean
       if (responseData.id) {
         try {
-          await fetch(`${url}/${responseData.id}`, {
+          await this.requestScheduler.fetch(config.baseId, `${url}/${responseData.id}`, {
             method: 'DELETE',
             headers: {
               'Authorization': `Bearer ${config.apiToken}`
@@ -1307,6 +1829,7 @@ const backgroundService = new BackgroundService();
 // Keep service worker alive
 chrome.runtime.onStartup.addListener(() => {
   console.log('LinkedIn to Airtable extension started');
+  backgroundService.processSaveQueue();
 });
 
 chrome.runtime.onInstalled.addListener((details) => {
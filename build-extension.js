@@ -19,6 +19,17 @@ const filesToCopy = [
   'sidepanel.html',
   'sidepanel.js',
   'tag-storage.js',
+  'save-queue.js',
+  'request-scheduler.js',
+  'selector-pack.js',
+  'locale-keywords.js',
+  'search-results.js',
+  'company-page.js',
+  'sales-navigator.js',
+  'recruiter-profile.js',
+  'rate-limiter.js',
+  'harvest-queue.js',
+  'list-harvester.js',
   'styles.css'
 ];
 
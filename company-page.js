@@ -0,0 +1,139 @@
+/**
+ * Company page extraction (linkedin.com/company/<name>/ and its About tab)
+ * Companies are saved to their own Airtable table, separate from contacts
+ */
+
+class CompanyPageExtractor {
+  /**
+   * @param {LinkedInProfileExtractor} extractor - provides the selector pack, keywords and text helpers
+   */
+  constructor(extractor) {
+    this.extractor = extractor;
+    this.companyData = {};
+  }
+
+  /**
+   * Check if a URL is a company page or one of its tabs
+   */
+  static isCompanyPage(url = window.location.href) {
+    return /linkedin\.com\/company\/[^/?#]+/.test(url);
+  }
+
+  /**
+   * Canonical company URL, so /about/, /people/ etc. all map to the same record
+   */
+  static getCompanyBaseUrl(url) {
+    const match = url.match(/linkedin\.com\/company\/([^/?#]+)/);
+    return match ? `https://www.linkedin.com/company/${match[1]}/` : url;
+  }
+
+  /**
+   * Wait for the company name, which LinkedIn renders after the page shell
+   */
+  async waitForCompany() {
+    for (let attempts = 0; attempts < 20; attempts++) {
+      if (this.extractor.findElement(this.extractor.getSelectors('companyName'))) return true;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    console.warn('Company name not found after 10 seconds');
+    return false;
+  }
+
+  /**
+   * Extract name, industry, size, headquarters, website, follower count and description.
+   * The main page and the About tab each show part of the details, so values
+   * found earlier for the same company are kept when a tab lacks them.
+   */
+  extractCompany() {
+    this.extractor.keywords = LocaleKeywords.fromDocument();
+
+    const profileUrl = CompanyPageExtractor.getCompanyBaseUrl(window.location.href);
+    const details = this.readDetailsList();
+    const topCard = this.readTopCardItems();
+    const nameElement = this.extractor.findElement(this.extractor.getSelectors('companyName'));
+    const descriptionElement = this.extractor.findElement(this.extractor.getSelectors('companyDescription'));
+
+    const extracted = {
+      name: nameElement ? this.extractor.cleanText(nameElement.textContent) : '',
+      industry: details.industry || topCard.industry || '',
+      companySize: details.companySize || topCard.companySize || '',
+      headquarters: details.headquarters || topCard.headquarters || '',
+      website: details.website || '',
+      followerCount: topCard.followerCount,
+      description: descriptionElement
+        ? this.extractor.cleanLongText(descriptionElement.innerText || descriptionElement.textContent)
+        : '',
+      profileUrl
+    };
+
+    const previous = this.companyData.profileUrl === profileUrl ? this.companyData : {};
+    const company = { ...extracted };
+    Object.keys(company).forEach(key => {
+      if ((company[key] === '' || company[key] === null) && previous[key]) {
+        company[key] = previous[key];
+      }
+    });
+
+    this.companyData = company;
+    console.log('🏢 Extracted company data:', company);
+    return company;
+  }
+
+  /**
+   * Read the About tab's <dl> of "Website", "Industry", "Company size" and "Headquarters"
+   */
+  readDetailsList() {
+    const details = {};
+    const list = this.extractor.findElement(this.extractor.getSelectors('companyDetailsList'));
+    if (!list) return details;
+
+    const keywords = this.extractor.keywords;
+    const fields = [
+      ['companyWebsite', 'website'],
+      ['companyIndustry', 'industry'],
+      ['companySize', 'companySize'],
+      ['companyHeadquarters', 'headquarters']
+    ];
+
+    list.querySelectorAll('dt').forEach(term => {
+      const label = this.extractor.cleanText(term.textContent);
+      const field = fields.find(([key]) => keywords.isExactly(key, label));
+      const value = term.nextElementSibling;
+      if (!field || !value || value.tagName !== 'DD') return;
+
+      const link = field[1] === 'website' ? value.querySelector('a[href]') : null;
+      details[field[1]] = this.extractor.cleanText(link ? link.textContent : value.textContent);
+    });
+
+    return details;
+  }
+
+  /**
+   * Read the top card line, e.g. "Software Development · San Francisco, CA · 12K followers · 1K-5K employees".
+   * Counts are told apart by their wording; of the rest the industry comes first and
+   * the headquarters after it (industries like "Technology, Information and Internet"
+   * would otherwise pass for a location).
+   */
+  readTopCardItems() {
+    const items = { followerCount: null };
+
+    this.extractor.findAllElements(this.extractor.getSelectors('companyTopCardItem')).forEach(element => {
+      const text = this.extractor.cleanText(element.textContent);
+      if (!text) return;
+
+      const followerCount = this.extractor.matchFollowerCount(text);
+      if (followerCount !== null) {
+        items.followerCount = followerCount;
+      } else if (this.extractor.keywords.containsWord('employees', text)) {
+        items.companySize = items.companySize || text;
+      } else if (!items.industry) {
+        items.industry = text;
+      } else if (!items.headquarters && this.extractor.isLikelyLocation(text)) {
+        items.headquarters = text;
+      }
+    });
+
+    return items;
+  }
+}
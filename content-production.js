@@ -1,33 +1,3 @@
-class RateLimiter {
-  constructor(maxRequests = 3, windowMs = 5000) {
-    this.maxRequests = maxRequests;
-    this.windowMs = windowMs;
-    this.requests = [];
-  }
-
-  canMakeRequest() {
-    const now = Date.now();
-    this.requests = this.requests.filter(time => now - time < this.windowMs);
-
-    if (this.requests.length >= this.maxRequests) {
-      return false;
-    }
-
-    this.requests.push(now);
-    return true;
-  }
-
-  getWaitTime() {
-    if (this.requests.length < this.maxRequests) {
-      return 0;
-    }
-
-    const oldestRequest = this.requests[0];
-    const waitTime = this.windowMs - (Date.now() - oldestRequest);
-    return Math.max(0, waitTime);
-  }
-}
-
 class LinkedInProfileExtractor {
   constructor() {
     this.profileData = {};
@@ -0,0 +1,55 @@
+/**
+ * Queue of harvested profiles (connections, event attendees) waiting to be saved or enriched
+ * Kept in chrome.storage.local so it survives closing the side panel
+ */
+
+class HarvestQueueService {
+  constructor() {
+    this.STORAGE_KEY = 'harvestQueue';
+    this.MAX_PROFILES = 5000;
+  }
+
+  async getQueue() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      return result[this.STORAGE_KEY] || [];
+    } catch (error) {
+      console.error('Failed to load harvest queue:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Append profiles not queued yet (by profile URL)
+   * @returns {Promise<number>} How many were added
+   */
+  async addProfiles(profiles, source) {
+    const queue = await this.getQueue();
+    const queuedUrls = new Set(queue.map(profile => profile.profileUrl));
+    const now = Date.now();
+
+    const added = (profiles || [])
+      .filter(profile => profile.profileUrl && !queuedUrls.has(profile.profileUrl))
+      .map(profile => ({ ...profile, source: source, queuedAt: now }));
+
+    if (added.length === 0) {
+      return 0;
+    }
+
+    const updated = [...queue, ...added].slice(-this.MAX_PROFILES);
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: updated });
+    return added.length;
+  }
+
+  async removeProfiles(profileUrls) {
+    const remove = new Set(profileUrls);
+    const queue = await this.getQueue();
+    await chrome.storage.local.set({
+      [this.STORAGE_KEY]: queue.filter(profile => !remove.has(profile.profileUrl))
+    });
+  }
+
+  async clear() {
+    await chrome.storage.local.remove([this.STORAGE_KEY]);
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * List harvesting for "My Network" connections and event attendee lists.
+ * Scrolls the list in batches, pausing between them, and adds every person
+ * to the harvest queue so they can be saved or enriched later.
+ */
+
+class ListHarvester {
+  /**
+   * @param {LinkedInProfileExtractor} extractor - provides the selector pack, keywords and text helpers
+   */
+  constructor(extractor) {
+    this.extractor = extractor;
+    this.queue = new HarvestQueueService();
+    // Loading more of the list is what LinkedIn sees, so at most 3 batches per 10 seconds
+    this.rateLimiter = new RateLimiter(3, 10000);
+    this.stopRequested = false;
+    this.status = { running: false, stopped: false, collected: 0, queued: 0, total: null, error: null };
+  }
+
+  /**
+   * 'connections', 'eventAttendees' or null for pages without a harvestable list
+   */
+  static getListType(url = window.location.href) {
+    if (/linkedin\.com\/mynetwork\/invite-connect\/connections/.test(url)) return 'connections';
+    if (/linkedin\.com\/events\/[^/?#]+/.test(url)) return 'eventAttendees';
+    return null;
+  }
+
+  static isHarvestablePage(url = window.location.href) {
+    return ListHarvester.getListType(url) !== null;
+  }
+
+  /**
+   * Current progress, with the list size LinkedIn shows when not harvesting
+   */
+  getStatus() {
+    return {
+      ...this.status,
+      listType: ListHarvester.getListType(),
+      total: this.status.running ? this.status.total : this.readTotal()
+    };
+  }
+
+  /**
+   * Harvest the list until it ends, maxProfiles are collected or stop() is called.
+   * Progress is sent to the side panel as harvestProgress messages.
+   */
+  async harvest({ maxProfiles = 500, batchPauseMs = 2000 } = {}) {
+    if (this.status.running) return;
+
+    const listType = ListHarvester.getListType();
+    const source = listType === 'connections'
+      ? 'Connections'
+      : `Event: ${this.extractor.readText('harvestEventName') || document.title}`;
+    const seenUrls = new Set();
+    let idleBatches = 0;
+
+    this.stopRequested = false;
+    this.status = { running: true, stopped: false, collected: 0, queued: 0, total: this.readTotal(), error: null };
+    this.reportProgress();
+    console.log(`🌾 Harvesting ${listType} (up to ${maxProfiles} profiles)...`);
+
+    try {
+      // The list has ended once a few batches in a row add nobody
+      while (!this.stopRequested) {
+        const batch = this.readVisibleProfiles()
+          .filter(profile => !seenUrls.has(profile.profileUrl))
+          .slice(0, maxProfiles - seenUrls.size);
+
+        if (batch.length > 0) {
+          idleBatches = 0;
+          batch.forEach(profile => seenUrls.add(profile.profileUrl));
+          this.status.queued += await this.queue.addProfiles(batch, source);
+        } else {
+          idleBatches++;
+        }
+
+        this.status.collected = seenUrls.size;
+        this.reportProgress();
+        if (seenUrls.size >= maxProfiles || idleBatches >= 3 || this.stopRequested) break;
+
+        await this.rateLimiter.waitForSlot();
+        this.loadMore();
+        // Randomised so batches do not arrive at a fixed rhythm
+        await new Promise(resolve => setTimeout(resolve, batchPauseMs * (1 + Math.random() / 2)));
+      }
+    } catch (error) {
+      console.error('Harvest error:', error);
+      this.status.error = error.message;
+    } finally {
+      this.status.running = false;
+      this.status.stopped = this.stopRequested;
+      this.reportProgress();
+      console.log(`🌾 Harvest finished: ${this.status.collected} profiles, ${this.status.queued} newly queued`);
+    }
+  }
+
+  /**
+   * Stop after the current batch
+   */
+  stop() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * People currently rendered in the list; rows without a profile link are skipped
+   */
+  readVisibleProfiles() {
+    const extractor = this.extractor;
+
+    return extractor.findAllElements(extractor.getSelectors('harvestListItem')).map(item => {
+      const link = extractor.findElementIn(item, extractor.getSelectors('harvestProfileLink'));
+
+      return {
+        fullName: extractor.readText('harvestName', item).replace(/\s*View .+?(’|')s profile$/i, ''),
+        headline: extractor.readText('harvestHeadline', item),
+        profileUrl: link && link.href.includes('/in/') ? extractor.getProfileBaseUrl(link.href) : ''
+      };
+    }).filter(profile => profile.profileUrl);
+  }
+
+  /**
+   * Click "Show more results" when LinkedIn shows it, otherwise scroll the list to its end
+   */
+  loadMore() {
+    const button = this.extractor.findElement(this.extractor.getSelectors('harvestLoadMoreButton'));
+    if (button && !button.disabled) {
+      button.click();
+      return;
+    }
+
+    const container = this.extractor.findElement(this.extractor.getSelectors('harvestScrollContainer'));
+    if (container) {
+      container.scrollTop = container.scrollHeight;
+    } else {
+      window.scrollTo(0, document.body.scrollHeight);
+    }
+  }
+
+  /**
+   * List size from the header ("1,234 connections", "87 attendees"), or null
+   */
+  readTotal() {
+    const header = this.extractor.readText('harvestListHeader');
+    if (!header) return null;
+
+    if (ListHarvester.getListType() === 'connections') {
+      return this.extractor.matchConnectionCount(header);
+    }
+
+    const match = header.match(this.extractor.keywords.pattern('attendees', '(\\d[\\d,.\\s]*)\\s*%s(?![\\p{L}])'));
+    return match ? this.extractor.parseCount(match[1]) : null;
+  }
+
+  reportProgress() {
+    try {
+      chrome.runtime.sendMessage({ action: 'harvestProgress', data: this.getStatus() });
+    } catch (error) {
+      // Side panel might not be open, which is fine
+    }
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * Locale keyword tables for the LinkedIn validators
+ * LinkedIn renders its UI in the member's language, so words like "Full-time",
+ * "1st" or "connections" depend on the page's `lang` attribute
+ */
+
+/**
+ * Keywords per LinkedIn UI language. English is always merged in because
+ * profiles are often written in English even when the UI is not.
+ */
+const LOCALE_KEYWORDS = {
+  en: {
+    employmentTypes: ['Full-time', 'Part-time', 'Contract', 'Freelance', 'Internship', 'Self-employed', 'Seasonal', 'Apprenticeship'],
+    present: ['Present', 'Current'],
+    durationUnits: ['yr', 'yrs', 'mo', 'mos'],
+    months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    degreeOrdinals: ['1st', '2nd', '3rd', '3rd+'],
+    degreeWords: ['degree'],
+    connections: ['connection', 'connections'],
+    followers: ['follower', 'followers'],
+    mutualConnections: ['mutual connection', 'mutual connections'],
+    // Matched as word prefixes, so "Follow" also covers "Following"
+    connectActions: ['follow', 'message', 'connect'],
+    uiLabels: ['Message', 'Connect', 'Follow', 'More', 'Experience', 'Show all', 'See less', 'Edit', 'Delete', 'Add', 'Remove'],
+    jobTitlePrefixes: ['Senior', 'Junior', 'Lead', 'Principal', 'Chief', 'Head of', 'Director of', 'Manager of', 'Associate'],
+    jobTitleSuffixes: ['Engineer', 'Developer', 'Designer', 'Analyst', 'Consultant', 'Specialist'],
+    locationWords: ['area', 'region', 'metro', 'greater', 'district', 'county', 'city', 'state', 'province', 'country'],
+    places: ['united states', 'usa', 'canada', 'uk', 'australia', 'california', 'new york', 'texas', 'florida', 'illinois'],
+    // Company page "About" labels and employee counts
+    companyWebsite: ['Website'],
+    companyIndustry: ['Industry'],
+    companySize: ['Company size'],
+    companyHeadquarters: ['Headquarters'],
+    employees: ['employee', 'employees'],
+    // Sales Navigator tenure, e.g. "2 years 3 months in role"
+    tenureInRole: ['in role'],
+    tenureInCompany: ['in company'],
+    // Event attendee list header, e.g. "87 attendees"
+    attendees: ['attendee', 'attendees'],
+    // Contact Info overlay section headings
+    contactEmail: ['Email', 'E-mail'],
+    contactPhone: ['Phone'],
+    contactWebsites: ['Website', 'Websites'],
+    contactTwitter: ['Twitter'],
+    contactBirthday: ['Birthday'],
+    // Licenses & Certifications captions, e.g. "Issued Jan 2023 · Expires Jan 2026"
+    certificationIssued: ['Issued'],
+    certificationExpires: ['Expires', 'Expired'],
+    certificationCredentialId: ['Credential ID'],
+    // Skill endorsements, e.g. "12 endorsements" or "Endorsed by Jane Doe and 11 others"
+    endorsements: ['endorsement', 'endorsements'],
+    endorsedBy: ['Endorsed by'],
+    // "Show all 24 skills" links at the end of a list
+    showAllLinks: ['Show all', 'See all']
+  },
+  fr: {
+    employmentTypes: ['Temps plein', 'Temps partiel', 'CDI', 'CDD', 'Contrat', 'Freelance', 'Indépendant', 'Stage', 'Alternance', 'Saisonnier', 'Apprentissage'],
+    present: ['aujourd’hui', 'aujourd\'hui', 'Présent', 'Actuel'],
+    durationUnits: ['an', 'ans', 'mois'],
+    months: ['janv', 'févr', 'mars', 'avr', 'mai', 'juin', 'juil', 'août', 'sept', 'oct', 'nov', 'déc'],
+    degreeOrdinals: ['1er', '2e', '3e', '3e et +'],
+    degreeWords: ['niveau'],
+    connections: ['relation', 'relations'],
+    followers: ['abonné', 'abonnés'],
+    mutualConnections: ['relation en commun', 'relations en commun'],
+    connectActions: ['suivre', 'message', 'se connecter'],
+    uiLabels: ['Message', 'Se connecter', 'Suivre', 'Plus', 'Expérience', 'Afficher tout', 'Voir moins', 'Modifier', 'Supprimer', 'Ajouter', 'Retirer'],
+    jobTitlePrefixes: ['Responsable', 'Directeur', 'Directrice', 'Chef de', 'Cheffe de', 'Chargé de', 'Chargée de'],
+    jobTitleSuffixes: ['Ingénieur', 'Ingénieure', 'Développeur', 'Développeuse', 'Analyste', 'Consultante', 'Chef de projet'],
+    locationWords: ['région', 'métropole', 'département', 'agglomération', 'ville', 'pays'],
+    places: ['france', 'belgique', 'suisse', 'luxembourg', 'île-de-france', 'québec'],
+    companyWebsite: ['Site web'],
+    companyIndustry: ['Secteur'],
+    companySize: ['Taille de l’entreprise', 'Taille de l\'entreprise'],
+    companyHeadquarters: ['Siège social'],
+    employees: ['employé', 'employés'],
+    attendees: ['participant', 'participants'],
+    contactEmail: ['E-mail', 'Adresse e-mail'],
+    contactPhone: ['Téléphone'],
+    contactWebsites: ['Site web', 'Sites web'],
+    contactBirthday: ['Anniversaire', 'Date de naissance'],
+    certificationIssued: ['Délivrée le', 'Délivré le', 'Émis le'],
+    certificationExpires: ['Expire le', 'Expirée le', 'Expiré le'],
+    certificationCredentialId: ['ID de la certification', 'ID du diplôme'],
+    endorsements: ['validation', 'validations'],
+    endorsedBy: ['Validé par', 'Validée par'],
+    showAllLinks: ['Afficher tout', 'Afficher les', 'Voir tout']
+  },
+  de: {
+    employmentTypes: ['Vollzeit', 'Teilzeit', 'Befristet', 'Freiberuflich', 'Selbstständig', 'Praktikum', 'Ausbildung', 'Werkstudent', 'Saisonal', 'Vertrag'],
+    present: ['heute', 'Aktuell'],
+    durationUnits: ['J.', 'Jahr', 'Jahre', 'Mon.', 'Monat', 'Monate'],
+    months: ['Jan', 'Feb', 'März', 'Apr', 'Mai', 'Juni', 'Juli', 'Aug', 'Sept', 'Okt', 'Nov', 'Dez'],
+    degreeOrdinals: ['1.', '2.', '3.', '3.+'],
+    degreeWords: ['Grades', 'Grad'],
+    connections: ['Kontakt', 'Kontakte'],
+    followers: ['Follower', 'Follower:innen', 'Follower:in'],
+    mutualConnections: ['gemeinsamer Kontakt', 'gemeinsame Kontakte'],
+    connectActions: ['folgen', 'nachricht', 'vernetzen'],
+    uiLabels: ['Nachricht', 'Vernetzen', 'Folgen', 'Mehr', 'Berufserfahrung', 'Alle anzeigen', 'Weniger anzeigen', 'Bearbeiten', 'Löschen', 'Hinzufügen', 'Entfernen'],
+    jobTitlePrefixes: ['Leiter', 'Leiterin', 'Geschäftsführer', 'Geschäftsführerin'],
+    jobTitleSuffixes: ['Ingenieur', 'Ingenieurin', 'Entwickler', 'Entwicklerin', 'Berater', 'Beraterin', 'Analystin', 'Designerin', 'Managerin'],
+    locationWords: ['Region', 'Metropolregion', 'Großraum', 'Kreis', 'Bundesland', 'Stadt'],
+    places: ['deutschland', 'österreich', 'schweiz', 'bayern', 'nordrhein-westfalen', 'baden-württemberg'],
+    companyWebsite: ['Website'],
+    companyIndustry: ['Branche'],
+    companySize: ['Unternehmensgröße'],
+    companyHeadquarters: ['Hauptsitz'],
+    employees: ['Beschäftigte', 'Mitarbeiter', 'Mitarbeitende'],
+    attendees: ['Teilnehmer', 'Teilnehmende'],
+    contactEmail: ['E-Mail', 'E-Mail-Adresse'],
+    contactPhone: ['Telefon', 'Telefonnummer'],
+    contactWebsites: ['Website', 'Websites'],
+    contactBirthday: ['Geburtstag'],
+    certificationIssued: ['Ausgestellt', 'Ausstellungsdatum'],
+    certificationExpires: ['Gültig bis', 'Abgelaufen'],
+    certificationCredentialId: ['Nachweis-ID'],
+    endorsements: ['Bestätigung', 'Bestätigungen'],
+    endorsedBy: ['Bestätigt von'],
+    showAllLinks: ['Alle anzeigen', 'Alle']
+  },
+  es: {
+    employmentTypes: ['Jornada completa', 'Media jornada', 'Jornada parcial', 'Contrato temporal', 'Autónomo', 'Freelance', 'Prácticas', 'Temporal', 'Contrato de formación'],
+    present: ['actualidad', 'Presente', 'Actual'],
+    durationUnits: ['año', 'años', 'mes', 'meses'],
+    months: ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sept', 'sep', 'oct', 'nov', 'dic'],
+    degreeOrdinals: ['1er', '2º', '3er', '3er+', '1.º', '2.º', '3.º'],
+    degreeWords: ['grado'],
+    connections: ['contacto', 'contactos'],
+    followers: ['seguidor', 'seguidores'],
+    mutualConnections: ['contacto en común', 'contactos en común'],
+    connectActions: ['seguir', 'mensaje', 'conectar'],
+    uiLabels: ['Mensaje', 'Conectar', 'Seguir', 'Más', 'Experiencia', 'Mostrar todo', 'Ver menos', 'Editar', 'Eliminar', 'Añadir', 'Quitar'],
+    jobTitlePrefixes: ['Jefe de', 'Jefa de', 'Director', 'Directora', 'Responsable de'],
+    jobTitleSuffixes: ['Ingeniero', 'Ingeniera', 'Desarrollador', 'Desarrolladora', 'Diseñador', 'Diseñadora', 'Analista', 'Consultor', 'Consultora'],
+    locationWords: ['área', 'región', 'provincia', 'comunidad', 'ciudad', 'país'],
+    places: ['españa', 'méxico', 'argentina', 'colombia', 'chile', 'perú'],
+    companyWebsite: ['Sitio web'],
+    companyIndustry: ['Sector'],
+    companySize: ['Tamaño de la empresa'],
+    companyHeadquarters: ['Sede'],
+    employees: ['empleado', 'empleados'],
+    attendees: ['asistente', 'asistentes'],
+    contactEmail: ['Email', 'Correo electrónico'],
+    contactPhone: ['Teléfono'],
+    contactWebsites: ['Sitio web', 'Sitios web'],
+    contactBirthday: ['Cumpleaños', 'Fecha de nacimiento'],
+    certificationIssued: ['Expedición', 'Expedido'],
+    certificationExpires: ['Vencimiento', 'Caducado'],
+    certificationCredentialId: ['ID de la credencial'],
+    endorsements: ['validación', 'validaciones'],
+    endorsedBy: ['Validado por', 'Validada por'],
+    showAllLinks: ['Mostrar todo', 'Mostrar las', 'Ver todo']
+  },
+  pt: {
+    employmentTypes: ['Tempo integral', 'Meio período', 'Contrato', 'Freelance', 'Autônomo', 'Estágio', 'Temporário', 'Aprendiz'],
+    present: ['o momento', 'Presente', 'Atual'],
+    durationUnits: ['ano', 'anos', 'mês', 'meses'],
+    months: ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'],
+    degreeOrdinals: ['1º', '2º', '3º', '3º+'],
+    degreeWords: ['grau'],
+    connections: ['conexão', 'conexões'],
+    followers: ['seguidor', 'seguidores'],
+    mutualConnections: ['conexão em comum', 'conexões em comum'],
+    connectActions: ['seguir', 'mensagem', 'conectar'],
+    uiLabels: ['Mensagem', 'Conectar', 'Seguir', 'Mais', 'Experiência', 'Exibir tudo', 'Ver menos', 'Editar', 'Excluir', 'Adicionar', 'Remover'],
+    jobTitlePrefixes: ['Sênior', 'Júnior', 'Gerente de', 'Diretor', 'Diretora', 'Chefe de', 'Coordenador', 'Coordenadora'],
+    jobTitleSuffixes: ['Engenheiro', 'Engenheira', 'Desenvolvedor', 'Desenvolvedora', 'Analista', 'Consultor', 'Consultora'],
+    locationWords: ['região', 'área', 'metropolitana', 'estado', 'cidade', 'país'],
+    places: ['brasil', 'portugal', 'são paulo', 'rio de janeiro', 'lisboa', 'porto'],
+    companyWebsite: ['Site'],
+    companyIndustry: ['Setor'],
+    companySize: ['Tamanho da empresa'],
+    companyHeadquarters: ['Sede'],
+    employees: ['funcionário', 'funcionários'],
+    attendees: ['participante', 'participantes'],
+    contactEmail: ['E-mail'],
+    contactPhone: ['Telefone'],
+    contactWebsites: ['Site', 'Sites'],
+    contactBirthday: ['Aniversário', 'Data de nascimento'],
+    certificationIssued: ['Emitido em', 'Emissão'],
+    certificationExpires: ['Expira em', 'Expirou em'],
+    certificationCredentialId: ['Código da credencial'],
+    endorsements: ['validação', 'validações', 'recomendação', 'recomendações'],
+    endorsedBy: ['Validado por', 'Validada por', 'Recomendado por'],
+    showAllLinks: ['Exibir tudo', 'Exibir todas', 'Ver tudo']
+  },
+  nl: {
+    employmentTypes: ['Fulltime', 'Parttime', 'Contract', 'Freelance', 'Zelfstandige', 'Stage', 'Tijdelijk', 'Seizoensgebonden', 'Leerling'],
+    present: ['heden', 'Huidig'],
+    durationUnits: ['jr', 'jaar', 'mnd', 'maanden'],
+    months: ['jan', 'feb', 'mrt', 'apr', 'mei', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'dec'],
+    degreeOrdinals: ['1e', '2e', '3e', '3e+'],
+    degreeWords: ['graads'],
+    connections: ['connectie', 'connecties'],
+    followers: ['volger', 'volgers'],
+    mutualConnections: ['gemeenschappelijke connectie', 'gemeenschappelijke connecties'],
+    connectActions: ['volgen', 'bericht', 'connectie maken'],
+    uiLabels: ['Bericht', 'Connectie maken', 'Volgen', 'Meer', 'Ervaring', 'Alles weergeven', 'Minder weergeven', 'Bewerken', 'Verwijderen', 'Toevoegen'],
+    jobTitlePrefixes: ['Hoofd', 'Directeur', 'Teamleider'],
+    jobTitleSuffixes: ['Ingenieur', 'Ontwikkelaar', 'Ontwerper', 'Analist', 'Adviseur'],
+    locationWords: ['regio', 'omgeving', 'gebied', 'provincie', 'stad', 'land'],
+    places: ['nederland', 'belgië', 'randstad', 'noord-holland', 'zuid-holland'],
+    companyWebsite: ['Website'],
+    companyIndustry: ['Sector'],
+    companySize: ['Bedrijfsgrootte'],
+    companyHeadquarters: ['Hoofdkantoor'],
+    employees: ['medewerker', 'medewerkers'],
+    attendees: ['deelnemer', 'deelnemers'],
+    contactEmail: ['E-mail', 'E-mailadres'],
+    contactPhone: ['Telefoon', 'Telefoonnummer'],
+    contactWebsites: ['Website', 'Websites'],
+    contactBirthday: ['Verjaardag'],
+    certificationIssued: ['Uitgegeven', 'Afgegeven'],
+    certificationExpires: ['Verloopt', 'Verlopen'],
+    certificationCredentialId: ['Referentie-ID'],
+    endorsements: ['onderschrijving', 'onderschrijvingen'],
+    endorsedBy: ['Onderschreven door'],
+    showAllLinks: ['Alles weergeven', 'Alle']
+  }
+};
+
+/**
+ * Keyword matcher for one LinkedIn UI language (plus English)
+ */
+class LocaleKeywords {
+  constructor(lang) {
+    this.locale = LocaleKeywords.resolveLocale(lang);
+    this.keywords = this.mergeWithEnglish(LOCALE_KEYWORDS[this.locale]);
+    this.patternCache = {};
+  }
+
+  /**
+   * Build a matcher for the current page's `lang` attribute
+   */
+  static fromDocument() {
+    return new LocaleKeywords(document.documentElement.lang || navigator.language);
+  }
+
+  /**
+   * Map "fr-FR", "de_DE" or "pt-br" to a table key, defaulting to English
+   */
+  static resolveLocale(lang) {
+    const language = String(lang || 'en').toLowerCase().split(/[-_]/)[0];
+    return LOCALE_KEYWORDS[language] ? language : 'en';
+  }
+
+  mergeWithEnglish(table) {
+    const merged = {};
+    Object.keys(LOCALE_KEYWORDS.en).forEach(key => {
+      merged[key] = [...new Set([...(table[key] || []), ...LOCALE_KEYWORDS.en[key]])];
+    });
+    return merged;
+  }
+
+  /**
+   * Regex alternation for a keyword list, longest first so "yrs" wins over "yr"
+   */
+  alternation(key) {
+    return [...this.keywords[key]]
+      .sort((a, b) => b.length - a.length)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+  }
+
+  /**
+   * Cached case-insensitive, Unicode-aware pattern; every %s in the
+   * source is replaced by the keyword alternation
+   */
+  pattern(key, build) {
+    const cacheKey = `${key}:${build}`;
+    if (!this.patternCache[cacheKey]) {
+      this.patternCache[cacheKey] = new RegExp(build.split('%s').join(`(?:${this.alternation(key)})`), 'iu');
+    }
+    return this.patternCache[cacheKey];
+  }
+
+  /**
+   * Text is exactly one of the keywords
+   */
+  isExactly(key, text) {
+    return this.pattern(key, '^\\s*%s\\s*$').test(text || '');
+  }
+
+  /**
+   * Text contains one of the keywords as a whole word
+   */
+  containsWord(key, text) {
+    return this.pattern(key, '(?<![\\p{L}\\d])%s(?![\\p{L}])').test(text || '');
+  }
+
+  /**
+   * Text contains a word starting with one of the keywords
+   */
+  containsPrefix(key, text) {
+    return this.pattern(key, '(?<![\\p{L}\\d])%s').test(text || '');
+  }
+
+  /**
+   * Text starts with one of the keywords
+   */
+  startsWith(key, text) {
+    return this.pattern(key, '^%s(?![\\p{L}])').test(text || '');
+  }
+
+  /**
+   * Text ends with one of the keywords
+   */
+  endsWith(key, text) {
+    return this.pattern(key, '(?<![\\p{L}])%s$').test(text || '');
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Sliding-window rate limiter shared by the content scripts and the service worker
+ * Allows at most maxRequests calls to canMakeRequest() per windowMs
+ */
+
+class RateLimiter {
+  constructor(maxRequests = 3, windowMs = 5000) {
+    this.maxRequests = maxRequests;
+    this.windowMs = windowMs;
+    this.requests = [];
+  }
+
+  canMakeRequest() {
+    const now = Date.now();
+    this.requests = this.requests.filter(time => now - time < this.windowMs);
+
+    if (this.requests.length >= this.maxRequests) {
+      return false;
+    }
+
+    this.requests.push(now);
+    return true;
+  }
+
+  getWaitTime() {
+    if (this.requests.length < this.maxRequests) {
+      return 0;
+    }
+
+    const oldestRequest = this.requests[0];
+    const waitTime = this.windowMs - (Date.now() - oldestRequest);
+    return Math.max(0, waitTime);
+  }
+
+  /**
+   * Resolve once a request is allowed, waiting out the window if needed
+   */
+  async waitForSlot() {
+    while (!this.canMakeRequest()) {
+      await new Promise(resolve => setTimeout(resolve, this.getWaitTime() || 50));
+    }
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * LinkedIn Recruiter profile extraction (linkedin.com/talent/profile/<id>,
+ * also opened from a project as /talent/hire/<project>/.../profile/<id>)
+ * Produces the same profile payload as LinkedInProfileExtractor, plus the
+ * candidate's projects, pipeline stage and Recruiter URL
+ */
+
+class RecruiterProfileExtractor {
+  /**
+   * @param {LinkedInProfileExtractor} extractor - provides the selector pack, keywords and text helpers
+   */
+  constructor(extractor) {
+    this.extractor = extractor;
+  }
+
+  /**
+   * Check if a URL is a Recruiter candidate profile
+   */
+  static isRecruiterProfilePage(url = window.location.href) {
+    return /linkedin\.com\/talent\/(?:[^?#]*\/)?profile\/[^/?#]+/.test(url);
+  }
+
+  /**
+   * Canonical Recruiter profile URL, the same whichever project it was opened from
+   */
+  static getRecruiterUrl(url) {
+    const match = url.match(/linkedin\.com\/talent\/(?:[^?#]*\/)?profile\/([^/?#]+)/);
+    return match ? `https://www.linkedin.com/talent/profile/${match[1]}` : url;
+  }
+
+  /**
+   * Wait for the candidate name, which Recruiter renders after the page shell
+   */
+  async waitForProfile() {
+    for (let attempts = 0; attempts < 20; attempts++) {
+      if (this.extractor.findElement(this.extractor.getSelectors('recruiterName'))) return true;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    console.warn('Recruiter profile not found after 10 seconds');
+    return false;
+  }
+
+  /**
+   * Extract the candidate. profileUrl is the public /in/ URL when Recruiter shows it,
+   * otherwise the Recruiter URL. Badges are left out, as on Sales Navigator leads.
+   */
+  extractProfile() {
+    const extractor = this.extractor;
+    const summary = extractor.findElement(extractor.getSelectors('recruiterSummary'));
+    const picture = extractor.findElement(extractor.getSelectors('recruiterPicture'));
+    const publicLink = extractor.findElement(extractor.getSelectors('recruiterPublicProfileLink'));
+    const recruiterUrl = RecruiterProfileExtractor.getRecruiterUrl(window.location.href);
+
+    const experience = this.extractExperience();
+    const currentPosition = experience.find(entry => extractor.keywords.containsWord('present', entry.endDate)) || experience[0];
+
+    const profile = {
+      fullName: extractor.readText('recruiterName'),
+      headline: extractor.readText('recruiterHeadline'),
+      jobTitle: currentPosition?.title || '',
+      company: currentPosition?.company || '',
+      location: extractor.readText('recruiterLocation'),
+      bio: summary ? extractor.cleanLongText(summary.innerText || summary.textContent) : '',
+      profileUrl: publicLink ? extractor.getProfileBaseUrl(publicLink.href) : recruiterUrl,
+      recruiterUrl: recruiterUrl,
+      profilePicture: picture ? picture.src : '',
+      email: extractor.readText('recruiterEmail'),
+      phone: extractor.readText('recruiterPhone'),
+      recruiterProjects: this.extractProjects(),
+      pipelineStage: extractor.readText('recruiterPipelineStage'),
+      experience: experience,
+      education: this.extractEducation(),
+      skills: this.extractSkills(),
+      certifications: [],
+      languages: [],
+      volunteer: []
+    };
+
+    profile.fieldSources = {};
+    Object.keys(profile).forEach(field => {
+      if (field === 'fieldSources') return;
+      profile.fieldSources[field] = extractor.describeFieldSource(profile[field], 'selectors', 'Recruiter profile page', 0.8);
+    });
+
+    console.log('🧲 Extracted Recruiter profile:', profile);
+    return profile;
+  }
+
+  /**
+   * Names of the projects the candidate is in, starting with the project the profile was opened from
+   */
+  extractProjects() {
+    const extractor = this.extractor;
+    const names = [
+      extractor.readText('recruiterProjectName'),
+      ...extractor.findAllElements(extractor.getSelectors('recruiterProjectItem'))
+        .map(item => extractor.cleanText(item.textContent))
+    ].filter(Boolean);
+
+    return [...new Set(names)];
+  }
+
+  /**
+   * Positions in the profile's experience entry shape
+   */
+  extractExperience() {
+    const extractor = this.extractor;
+
+    return extractor.findAllElements(extractor.getSelectors('recruiterExperienceItem')).map(item => {
+      const range = extractor.readText('recruiterPositionDates', item);
+      const duration = extractor.readText('recruiterPositionDuration', item);
+
+      return {
+        title: extractor.cleanJobTitle(extractor.readText('recruiterPositionTitle', item)),
+        company: extractor.cleanCompanyName(extractor.readText('recruiterPositionCompany', item)),
+        employmentType: '',
+        ...extractor.parseDateRange(duration ? `${range} · ${duration}` : range),
+        location: extractor.readText('recruiterPositionLocation', item),
+        description: extractor.readText('recruiterPositionDescription', item)
+      };
+    }).filter(entry => entry.title);
+  }
+
+  /**
+   * Schools in the profile's education entry shape
+   */
+  extractEducation() {
+    const extractor = this.extractor;
+
+    return extractor.findAllElements(extractor.getSelectors('recruiterEducationItem')).map(item => {
+      const years = extractor.readText('recruiterEducationDates', item).match(/\b(19|20)\d{2}\b/g) || [];
+
+      return {
+        school: extractor.readText('recruiterSchool', item),
+        degree: extractor.readText('recruiterDegree', item),
+        fieldOfStudy: extractor.readText('recruiterFieldOfStudy', item),
+        startYear: years[0] || '',
+        endYear: years[1] || ''
+      };
+    }).filter(entry => entry.school);
+  }
+
+  /**
+   * Skills in the profile's skill entry shape; Recruiter does not show endorsements
+   */
+  extractSkills() {
+    const extractor = this.extractor;
+    const names = extractor.findAllElements(extractor.getSelectors('recruiterSkillItem'))
+      .map(item => extractor.cleanText(item.textContent))
+      .filter(Boolean);
+
+    return [...new Set(names)].map(name => ({ name, endorsements: null }));
+  }
+}
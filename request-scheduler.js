@@ -0,0 +1,109 @@
+/**
+ * Central scheduler for Airtable API requests made by the service worker.
+ * Keeps each base under Airtable's limit of 5 requests per second and, when
+ * Airtable still answers 429, pauses that base for the Retry-After time and
+ * sends the request again. Longer waits are left to the save queue, so a
+ * message from the side panel is answered before the service worker is stopped.
+ */
+
+class RequestScheduler {
+  constructor(requestsPerSecond = 5) {
+    this.requestsPerSecond = requestsPerSecond;
+    this.limiters = new Map();
+    this.pausedUntil = new Map();
+    this.MAX_RATE_LIMIT_RETRIES = 3;
+    // Airtable asks clients to wait 30 seconds after a 429
+    this.DEFAULT_RETRY_AFTER_MS = 30 * 1000;
+    // Longest a single request waits out 429s before giving the 429 back
+    this.MAX_INLINE_WAIT_MS = 5 * 1000;
+  }
+
+  /**
+   * fetch() through the base's rate limit. Returns a 429 when Airtable kept rate
+   * limiting after every retry, or the base is paused for longer than
+   * MAX_INLINE_WAIT_MS in all; callers treat it as retryable and queue the save.
+   */
+  async fetch(baseId, url, options = {}) {
+    const started = Date.now();
+
+    for (let attempt = 0; ; attempt++) {
+      const pause = this.getPauseMs(baseId);
+      if (Date.now() - started + pause > this.MAX_INLINE_WAIT_MS) {
+        return this.rateLimitedResponse(baseId, pause);
+      }
+
+      await this.waitForTurn(baseId);
+      const response = await fetch(url, options);
+
+      if (response.status !== 429 || attempt >= this.MAX_RATE_LIMIT_RETRIES) {
+        return response;
+      }
+
+      const delay = this.getRetryAfterMs(response);
+      this.pausedUntil.set(baseId, Math.max(this.pausedUntil.get(baseId) || 0, Date.now() + delay));
+
+      if (Date.now() - started + delay > this.MAX_INLINE_WAIT_MS) {
+        console.warn(`⏳ Airtable rate limit hit for ${baseId}, pausing it for ${Math.round(delay / 1000)}s`);
+        return response;
+      }
+      console.warn(`⏳ Airtable rate limit hit for ${baseId}, retrying in ${Math.round(delay / 1000)}s`);
+    }
+  }
+
+  /**
+   * Time left before the base may be sent requests again after a 429
+   */
+  getPauseMs(baseId) {
+    return Math.max(0, (this.pausedUntil.get(baseId) || 0) - Date.now());
+  }
+
+  /**
+   * The 429 Airtable would send while the base is paused, without sending the request
+   */
+  rateLimitedResponse(baseId, pause) {
+    console.warn(`⏳ ${baseId} is rate limited for another ${Math.round(pause / 1000)}s, not sending the request`);
+
+    return new Response(JSON.stringify({
+      error: { type: 'RATE_LIMIT_REACHED', message: 'Airtable rate limit reached, try again later' }
+    }), {
+      status: 429,
+      statusText: 'Too Many Requests',
+      headers: { 'Content-Type': 'application/json', 'Retry-After': String(Math.ceil(pause / 1000)) }
+    });
+  }
+
+  /**
+   * Resolve when the base is not paused after a 429 and has a free slot this second
+   */
+  async waitForTurn(baseId) {
+    let pause;
+    while ((pause = this.getPauseMs(baseId)) > 0) {
+      await new Promise(resolve => setTimeout(resolve, pause));
+    }
+
+    await this.getLimiter(baseId).waitForSlot();
+  }
+
+  getLimiter(baseId) {
+    if (!this.limiters.has(baseId)) {
+      this.limiters.set(baseId, new RateLimiter(this.requestsPerSecond, 1000));
+    }
+    return this.limiters.get(baseId);
+  }
+
+  /**
+   * Retry-After in seconds or as an HTTP date, or Airtable's 30 second default
+   */
+  getRetryAfterMs(response) {
+    const header = response.headers?.get('Retry-After');
+    if (header) {
+      const seconds = Number(header);
+      if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+
+      const date = Date.parse(header);
+      if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    return this.DEFAULT_RETRY_AFTER_MS;
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Sales Navigator lead page extraction (linkedin.com/sales/lead/<id>)
+ * Produces the same profile payload as LinkedInProfileExtractor, plus the
+ * lead's tenure and Sales Navigator URL
+ */
+
+class SalesNavigatorExtractor {
+  /**
+   * @param {LinkedInProfileExtractor} extractor - provides the selector pack, keywords and text helpers
+   */
+  constructor(extractor) {
+    this.extractor = extractor;
+  }
+
+  /**
+   * Check if a URL is a Sales Navigator lead page
+   */
+  static isLeadPage(url = window.location.href) {
+    return /linkedin\.com\/sales\/lead\//.test(url);
+  }
+
+  /**
+   * Lead URL without the query string and trailing path (the id segment carries its own auth token)
+   */
+  static getLeadUrl(url) {
+    const match = url.match(/linkedin\.com\/sales\/lead\/([^/?#]+)/);
+    return match ? `https://www.linkedin.com/sales/lead/${match[1]}` : url;
+  }
+
+  /**
+   * Wait for the lead name, which Sales Navigator renders after the page shell
+   */
+  async waitForLead() {
+    for (let attempts = 0; attempts < 20; attempts++) {
+      if (this.extractor.findElement(this.extractor.getSelectors('salesLeadName'))) return true;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    console.warn('Sales Navigator lead not found after 10 seconds');
+    return false;
+  }
+
+  /**
+   * Extract the lead. The account is the lead's current company; profileUrl is the
+   * public /in/ URL when the page links to it, otherwise the Sales Navigator URL.
+   * Badges (Open to work, Premium...) are not shown on lead pages, so they are left
+   * out rather than sent as false and clearing a flag saved from the public profile.
+   */
+  extractLead() {
+    const extractor = this.extractor;
+    const currentRole = extractor.findElement(extractor.getSelectors('salesLeadCurrentRole')) || document.body;
+    const mainText = (document.querySelector('main')?.textContent || document.body.textContent).replace(/\s+/g, ' ');
+    const picture = extractor.findElement(extractor.getSelectors('salesLeadPicture'));
+    const about = extractor.findElement(extractor.getSelectors('salesLeadAbout'));
+
+    const experience = this.extractExperience();
+    const salesNavigatorUrl = SalesNavigatorExtractor.getLeadUrl(window.location.href);
+    const publicProfileUrl = this.findPublicProfileUrl();
+
+    const lead = {
+      fullName: extractor.readText('salesLeadName'),
+      headline: extractor.readText('salesLeadHeadline'),
+      jobTitle: extractor.cleanJobTitle(extractor.readText('salesLeadJobTitle', currentRole)) || experience[0]?.title || '',
+      company: extractor.cleanCompanyName(extractor.readText('salesLeadAccount', currentRole)) || experience[0]?.company || '',
+      location: extractor.readText('salesLeadLocation'),
+      bio: about ? extractor.cleanLongText(about.innerText || about.textContent) : '',
+      profileUrl: publicProfileUrl || salesNavigatorUrl,
+      salesNavigatorUrl: salesNavigatorUrl,
+      profilePicture: picture ? picture.src : '',
+      ...this.readTenure(currentRole),
+      followerCount: extractor.matchFollowerCount(mainText),
+      connectionCount: extractor.matchConnectionCount(mainText),
+      experience: experience,
+      education: this.extractEducation(),
+      skills: [],
+      certifications: [],
+      languages: [],
+      volunteer: []
+    };
+
+    lead.fieldSources = {};
+    Object.keys(lead).forEach(field => {
+      if (field === 'fieldSources') return;
+      lead.fieldSources[field] = extractor.describeFieldSource(lead[field], 'selectors', 'Sales Navigator lead page', 0.8);
+    });
+
+    console.log('💼 Extracted Sales Navigator lead:', lead);
+    return lead;
+  }
+
+  /**
+   * Time in role and at the company, from "2 years 3 months in role · 5 years in company"
+   */
+  readTenure(container) {
+    const text = (container.textContent || '').replace(/\s+/g, ' ');
+    const keywords = this.extractor.keywords;
+    const roleMatch = text.match(keywords.pattern('tenureInRole', '(\\d[^|·•]*?)\\s+%s(?![\\p{L}])'));
+    const companyMatch = text.match(keywords.pattern('tenureInCompany', '(\\d[^|·•]*?)\\s+%s(?![\\p{L}])'));
+
+    return {
+      roleTenure: roleMatch ? roleMatch[1].trim() : '',
+      companyTenure: companyMatch ? companyMatch[1].trim() : ''
+    };
+  }
+
+  /**
+   * Public profile URL from the "View LinkedIn profile" link, or from the
+   * flagshipProfileUrl in Sales Navigator's embedded lead data
+   */
+  findPublicProfileUrl() {
+    const link = this.extractor.findElement(this.extractor.getSelectors('salesLeadPublicProfileLink'));
+    if (link) return this.extractor.getProfileBaseUrl(link.href);
+
+    for (const element of document.querySelectorAll('code, script[type="application/json"]')) {
+      const match = element.textContent.match(/"flagshipProfileUrl"\s*:\s*"([^"]+)"/);
+      if (match) return this.extractor.getProfileBaseUrl(match[1].replace(/\\\//g, '/'));
+    }
+
+    return '';
+  }
+
+  /**
+   * Positions from the lead's Experience section, in the profile's experience entry shape
+   */
+  extractExperience() {
+    const extractor = this.extractor;
+
+    return extractor.findAllElements(extractor.getSelectors('salesLeadExperienceItem')).map(item => {
+      const texts = extractor.getLeafTexts(item);
+      const rangeText = texts.find(text => extractor.isDateRangeText(text) && !extractor.isDurationText(text)) || '';
+      const durationText = texts.find(text => extractor.isDurationText(text)) || '';
+      const dates = extractor.parseDateRange(durationText ? `${rangeText} · ${durationText}` : rangeText);
+      const location = extractor.readText('salesLeadLocation', item);
+
+      return {
+        title: extractor.cleanJobTitle(extractor.readText('salesLeadJobTitle', item)),
+        company: extractor.cleanCompanyName(extractor.readText('salesLeadAccount', item)),
+        employmentType: '',
+        ...dates,
+        location: location,
+        description: extractor.readText('salesLeadAbout', item)
+      };
+    }).filter(entry => entry.title);
+  }
+
+  /**
+   * Schools from the lead's Education section, in the profile's education entry shape
+   */
+  extractEducation() {
+    const extractor = this.extractor;
+
+    return extractor.findAllElements(extractor.getSelectors('salesLeadEducationItem')).map(item => {
+      const [degree, ...fieldParts] = extractor.readText('salesLeadDegree', item).split(',').map(part => part.trim());
+      const years = extractor.getLeafTexts(item).join(' ').match(/\b(19|20)\d{2}\b/g) || [];
+
+      return {
+        school: extractor.readText('salesLeadSchool', item),
+        degree: degree || '',
+        fieldOfStudy: fieldParts.join(', '),
+        startYear: years[0] || '',
+        endYear: years[1] || ''
+      };
+    }).filter(entry => entry.school);
+  }
+}
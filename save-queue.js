@@ -0,0 +1,146 @@
+/**
+ * Durable queue of saves that failed on network errors, rate limits or Airtable
+ * server errors. Kept in chrome.storage.local; the service worker retries due
+ * items with exponential backoff and the side panel lists them. Only the
+ * service worker changes the queue, one change at a time.
+ */
+
+class SaveQueueService {
+  constructor() {
+    this.STORAGE_KEY = 'saveQueue';
+    this.ALARM_NAME = 'retrySaveQueue';
+    this.MAX_ITEMS = 500;
+    this.MAX_ATTEMPTS = 8;
+    // chrome.alarms does not fire sooner than 30 seconds anyway
+    this.BASE_DELAY_MS = 30 * 1000;
+    this.MAX_DELAY_MS = 60 * 60 * 1000;
+    // Tail of the chain every change to the queue runs on
+    this.pendingUpdate = Promise.resolve();
+  }
+
+  async getQueue() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      return result[this.STORAGE_KEY] || [];
+    } catch (error) {
+      console.error('Failed to load save queue:', error);
+      return [];
+    }
+  }
+
+  async setQueue(queue) {
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: queue.slice(-this.MAX_ITEMS) });
+  }
+
+  /**
+   * Read the queue, change it and write it back once the changes before have
+   * finished, so a save queued during a replay cannot be lost or undo a removal
+   * @param {Function} change - (queue) => { queue, result } with the queue to store
+   */
+  update(change) {
+    const run = this.pendingUpdate.then(async () => {
+      const { queue, result } = await change(await this.getQueue());
+      await this.setQueue(queue);
+      return result;
+    });
+
+    this.pendingUpdate = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Queue a failed save. A newer failed save of the same record replaces the
+   * queued one, so the latest edits are what gets retried.
+   * @param {string} kind - 'contact' or 'company'
+   */
+  async enqueue(kind, data, fieldMappings, error) {
+    return this.update(queue => {
+      const now = Date.now();
+      const existing = data.profileUrl
+        ? queue.find(item => item.kind === kind && item.data.profileUrl === data.profileUrl)
+        : null;
+
+      const item = {
+        id: existing ? existing.id : `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        kind: kind,
+        data: data,
+        fieldMappings: fieldMappings || null,
+        status: 'pending',
+        attempts: 1,
+        lastError: error || '',
+        createdAt: existing ? existing.createdAt : now,
+        nextAttemptAt: now + this.getBackoffDelay(1)
+      };
+
+      return { queue: [...queue.filter(queued => queued.id !== item.id), item], result: item };
+    });
+  }
+
+  /**
+   * Delay before the next attempt: 30s, 1m, 2m, 4m... capped at an hour
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), this.MAX_DELAY_MS);
+  }
+
+  /**
+   * Record another failed attempt. Items that are not retryable, or have used up
+   * their attempts, stay in the queue as 'failed' until retried or discarded by hand.
+   */
+  async recordFailure(id, error, retryable) {
+    return this.update(queue => {
+      const item = queue.find(queued => queued.id === id);
+      if (!item) return { queue: queue, result: null };
+
+      item.attempts += 1;
+      item.lastError = error || '';
+
+      if (retryable && item.attempts < this.MAX_ATTEMPTS) {
+        item.status = 'pending';
+        item.nextAttemptAt = Date.now() + this.getBackoffDelay(item.attempts);
+      } else {
+        item.status = 'failed';
+        item.nextAttemptAt = null;
+      }
+
+      return { queue: queue, result: item };
+    });
+  }
+
+  /**
+   * Make items due now (all items when no ids are given), restarting their backoff
+   */
+  async markForRetry(ids = null) {
+    await this.update(queue => {
+      const now = Date.now();
+
+      queue.forEach(item => {
+        if (ids && !ids.includes(item.id)) return;
+        item.status = 'pending';
+        item.attempts = Math.min(item.attempts, 1);
+        item.nextAttemptAt = now;
+      });
+
+      return { queue: queue };
+    });
+  }
+
+  async remove(id) {
+    await this.update(queue => ({ queue: queue.filter(item => item.id !== id) }));
+  }
+
+  getDueItems(queue, now = Date.now()) {
+    return queue.filter(item => item.status === 'pending' && item.nextAttemptAt <= now);
+  }
+
+  /**
+   * Time of the earliest pending attempt, or null when nothing is waiting
+   */
+  getNextAttemptAt(queue) {
+    const times = queue
+      .filter(item => item.status === 'pending')
+      .map(item => item.nextAttemptAt);
+
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+}
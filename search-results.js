@@ -0,0 +1,79 @@
+/**
+ * People search results extraction (linkedin.com/search/results/people/)
+ * Lists every person on the current results page so the side panel can
+ * save several contacts in one go
+ */
+
+class SearchResultsExtractor {
+  /**
+   * @param {LinkedInProfileExtractor} extractor - provides the selector pack and text helpers
+   */
+  constructor(extractor) {
+    this.extractor = extractor;
+  }
+
+  /**
+   * Check if a URL is a people search results page
+   */
+  static isSearchResultsPage(url = window.location.href) {
+    return /linkedin\.com\/search\/results\/people\//.test(url);
+  }
+
+  /**
+   * Wait for the result list, which LinkedIn renders after the page shell
+   */
+  async waitForResults() {
+    for (let attempts = 0; attempts < 20; attempts++) {
+      if (this.findResultItems().length > 0) return true;
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    console.warn('Search results not found after 10 seconds');
+    return false;
+  }
+
+  /**
+   * Extract name, headline, location and profile URL of every result.
+   * Out-of-network "LinkedIn Member" rows have no profile link and are skipped.
+   */
+  extractResults() {
+    const results = [];
+    const seenUrls = new Set();
+
+    this.findResultItems().forEach(item => {
+      const result = this.parseResult(item);
+      if (!result.profileUrl || seenUrls.has(result.profileUrl)) return;
+
+      seenUrls.add(result.profileUrl);
+      results.push(result);
+    });
+
+    console.log(`🔎 Extracted ${results.length} search results:`, results);
+    return results;
+  }
+
+  /**
+   * Result rows on the page
+   */
+  findResultItems() {
+    return this.extractor.findAllElements(this.extractor.getSelectors('searchResultItem'));
+  }
+
+  /**
+   * Read one result row
+   */
+  parseResult(item) {
+    const read = key => {
+      const element = this.extractor.findElementIn(item, this.extractor.getSelectors(key));
+      return element ? this.extractor.cleanText(element.textContent) : '';
+    };
+    const link = this.extractor.findElementIn(item, this.extractor.getSelectors('searchResultLink'));
+
+    return {
+      fullName: read('searchResultName').replace(/\s*View .+?(’|')s profile$/i, ''),
+      headline: read('searchResultHeadline'),
+      location: read('searchResultLocation'),
+      profileUrl: link ? this.extractor.getProfileBaseUrl(link.href) : ''
+    };
+  }
+}
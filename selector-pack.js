@@ -0,0 +1,805 @@
+/**
+ * Selector pack for LinkedIn extraction
+ * Every CSS selector the extractors use lives here so a LinkedIn markup change
+ * can be fixed by importing a new pack instead of shipping a new build
+ */
+
+/**
+ * Bundled selector pack. Each key is an ordered fallback chain: the most
+ * specific selector first, broad fallbacks last.
+ */
+const DEFAULT_SELECTOR_PACK = {
+  version: '1.5.0',
+  selectors: {
+    // Page readiness
+    profileReady: [
+      'h1[data-generated-suggestion-target]',
+      '.text-heading-xlarge',
+      '.pv-text-details__left-panel h1',
+      '.ph5 h1',
+      'h1.break-words',
+      'h1'
+    ],
+    detailsListItem: [
+      'main .pvs-list__paged-list-item',
+      'main li.artdeco-list__item'
+    ],
+
+    // Top card
+    fullName: [
+      // Most specific modern LinkedIn selectors
+      'h1.text-heading-xlarge.inline.t-24.v-align-middle.break-words',
+      'h1.text-heading-xlarge.inline',
+      'h1.text-heading-xlarge',
+
+      // Profile header section targeting
+      'section[data-section="profileHeader"] h1',
+      '.pv-text-details__left-panel h1.text-heading-xlarge',
+      '.pv-text-details__left-panel h1',
+
+      // Top card variations
+      '.pv-top-card h1',
+      '.pv-top-card--list h1',
+      '.ph5 h1',
+
+      // Generic fallbacks
+      'h1[data-generated-suggestion-target]',
+      'h1[data-anonymize="person-name"]',
+      'h1.break-words',
+      '.text-heading-xlarge',
+
+      // Very broad fallbacks
+      'main h1:first-of-type',
+      'article h1:first-of-type'
+    ],
+    headline: [
+      '.pv-text-details__left-panel .text-body-medium.break-words',
+      'section[data-section="profileHeader"] .text-body-medium',
+      '.ph5 .text-body-medium.break-words',
+      '.pv-top-card .text-body-medium.break-words',
+      'div[data-generated-suggestion-target]',
+      '.pv-top-card--list + .text-body-medium',
+      'h2.pv-top-card-section__headline'
+    ],
+    location: [
+      // More specific location selectors that avoid connection degree text
+      '.pv-text-details__left-panel .text-body-small.inline.t-black--light.break-words',
+      '.pv-text-details__left-panel .text-body-small:not([aria-label*="connection"])',
+      '.pv-text-details__left-panel .text-body-small.inline:last-child',
+      '.pv-top-card .text-body-small.inline.t-black--light:not(:first-child)',
+      '.ph5 .text-body-small.inline.t-black--light',
+      '.pv-top-card--list-bullet .text-body-small',
+      '[data-generated-suggestion-target] ~ .text-body-small.inline.t-black--light'
+    ],
+    profilePicture: [
+      '.pv-top-card__photo img',
+      '.presence-entity__image img',
+      '.profile-photo-edit__preview img',
+      '.pv-top-card--photo img'
+    ],
+    topCard: [
+      '.pv-top-card',
+      'section[data-section="profileHeader"]',
+      'main section.artdeco-card:first-of-type',
+      'main section'
+    ],
+    openToWorkBadge: [
+      'img[alt*="#OPEN_TO_WORK"]',
+      '.pv-open-to-carousel-card',
+      '[aria-label*="open to work" i]'
+    ],
+    hiringBadge: [
+      'img[alt*="#HIRING"]',
+      '[aria-label*="is hiring" i]'
+    ],
+    premiumBadge: [
+      '.pv-member-badge--for-top-card',
+      'li-icon[type="premium-badge"]',
+      'svg[data-test-icon="linkedin-bug-premium-xsmall"]',
+      '[aria-label*="Premium" i]'
+    ],
+    creatorBadge: [
+      '.pv-creator-mode-hashtags'
+    ],
+
+    // Profile sections and list items ({section} is replaced by the section id)
+    profileSection: [
+      '[data-field="{section}"]',
+      'section[data-section="{section}"]',
+      '.{section}-section'
+    ],
+    listItem: [
+      'li.pvs-list__paged-list-item',
+      'li.artdeco-list__item'
+    ],
+    entityTitle: [
+      '.t-bold'
+    ],
+    entitySubtitle: [
+      '.t-14.t-normal:not(.t-black--light)'
+    ],
+    entityCaption: [
+      '.t-14.t-normal.t-black--light'
+    ],
+    entityDescription: [
+      '.inline-show-more-text',
+      '.pv-shared-text-with-see-more'
+    ],
+
+    // Current position
+    jobTitle: [
+      // Modern LinkedIn Experience section (most common)
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child .mr1.t-bold span[aria-hidden="true"]',
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child .t-bold span[aria-hidden="true"]',
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child .t-bold',
+
+      // Experience section with data-section attribute
+      'section[data-section="experience"] .pvs-list__paged-list-item:first-child .mr1.t-bold span[aria-hidden="true"]',
+      'section[data-section="experience"] .pvs-list__paged-list-item:first-child .t-bold span[aria-hidden="true"]',
+      'section[data-section="experience"] .pvs-list__paged-list-item:first-child .t-bold',
+
+      // Alternative modern structure
+      'section[data-section="experience"] li:first-child .t-bold span[aria-hidden="true"]',
+      'section[data-section="experience"] li:first-child .t-bold',
+
+      // New selectors for current LinkedIn structure
+      '#experience ~ div li:first-child .t-bold span[aria-hidden="true"]',
+      '#experience ~ div li:first-child .t-bold',
+      '#experience + div li:first-child .t-bold span[aria-hidden="true"]',
+      '#experience + div li:first-child .t-bold',
+
+      // Experience section with pvs-list class
+      '.experience-section .pvs-list__paged-list-item:first-child .mr1.t-bold span[aria-hidden="true"]',
+      '.experience-section .pvs-list__paged-list-item:first-child .t-bold span[aria-hidden="true"]',
+      '.experience-section .pvs-list__paged-list-item:first-child .t-bold',
+
+      // Generic bold text in first experience item
+      'section .pvs-list li:first-child .t-bold span[aria-hidden="true"]',
+      'section .pvs-list li:first-child .t-bold',
+
+      // Legacy experience selectors
+      '.experience-section .pv-entity__summary-info:first-child h3 span[aria-hidden="true"]',
+      '.experience-section .pv-entity__summary-info:first-child h3',
+      '.pv-profile-section.experience .pv-profile-section__list-item:first-child h3',
+      '.experience-section ul li:first-child h3',
+
+      // Generic experience fallbacks
+      '[id*="experience"] li:first-child .t-bold span[aria-hidden="true"]',
+      '[id*="experience"] li:first-child .t-bold'
+    ],
+    experienceItem: [
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child',
+      'section[data-section="experience"] li:first-child',
+      '#experience ~ div li:first-child',
+      '#experience + div li:first-child',
+      'section:has(#experience) li:first-child',
+      'div:has(> div > span:has(> #experience)) ul li:first-child',
+      '.experience-section li:first-child',
+      'section .pvs-list li:first-child'
+    ],
+    groupedCompany: [
+      // Grouped: Company name is at parent level before nested roles
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child > div > div > div:first-child .t-14.t-normal span[aria-hidden="true"]',
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child > div .t-14.t-normal span[aria-hidden="true"]',
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child .t-14.t-normal:not(:has(.t-bold)) span[aria-hidden="true"]',
+
+      // Alternative grouped structures
+      'section[data-section="experience"] .pvs-list__paged-list-item:first-child > div .t-14.t-normal span[aria-hidden="true"]',
+      'section[data-section="experience"] li:first-child > div > div:first-child .t-14.t-normal',
+
+      // New grouped selectors
+      '#experience ~ div li:first-child > div .t-14.t-normal span[aria-hidden="true"]',
+      '#experience + div li:first-child > div .t-14.t-normal span[aria-hidden="true"]',
+      'section .pvs-list li:first-child > div .t-14.t-normal span[aria-hidden="true"]',
+
+      // Legacy grouped
+      '.experience-section .pv-entity__company-summary-info .pv-entity__secondary-title',
+      '.experience-section li:first-child > .pv-entity__company-summary-info h3 + span'
+    ],
+    singleRoleCompany: [
+      // Most common modern structure - company as second text block
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child .t-14.t-normal span[aria-hidden="true"]',
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child .t-14.t-normal.break-words span[aria-hidden="true"]',
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child .t-14.t-normal:not(.t-bold)',
+
+      // Try broader selectors without requiring exact classes
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child .t-14:not(.t-bold) span',
+      '[data-field="experience"] .pvs-list__paged-list-item:first-child span.t-14.t-normal',
+      '[data-field="experience"] li:first-child .t-14.t-normal',
+
+      // New selectors for current LinkedIn structure
+      '#experience ~ div li:first-child .t-14.t-normal span[aria-hidden="true"]',
+      '#experience ~ div li:first-child .t-14.t-normal:not(.t-bold)',
+      '#experience + div li:first-child .t-14.t-normal span[aria-hidden="true"]',
+      '#experience + div li:first-child .t-14.t-normal:not(.t-bold)',
+
+      // Experience section variations
+      'section[data-section="experience"] .pvs-list__paged-list-item:first-child .t-14.t-normal span[aria-hidden="true"]',
+      'section[data-section="experience"] li:first-child .t-14.t-normal:not(.t-bold)',
+      'section[data-section="experience"] li:first-child .t-14 span',
+      '.experience-section .pvs-list__paged-list-item:first-child .t-14.t-normal span[aria-hidden="true"]',
+      '.experience-section .pvs-list__paged-list-item:first-child .t-14.t-normal',
+      '.experience-section .pvs-list__paged-list-item:first-child .pv-entity__secondary-title',
+
+      // Generic selectors for pvs-list structure
+      'section .pvs-list li:first-child .t-14.t-normal span[aria-hidden="true"]',
+      'section .pvs-list li:first-child .t-14.t-normal:not(.t-bold)',
+
+      // Legacy experience selectors
+      '.experience-section .pv-entity__summary-info:first-child .pv-entity__secondary-title',
+      '.experience-section .pv-profile-section__list-item:first-child .pv-entity__secondary-title',
+      '.pv-profile-section.experience .pv-profile-section__list-item:first-child .pv-entity__secondary-title',
+
+      // Fallbacks from profile header
+      '.pv-text-details__left-panel .pv-entity__secondary-title',
+      '.pv-top-card .pv-entity__secondary-title',
+      '.ph5 .pv-entity__secondary-title',
+
+      // Additional fallbacks
+      '.pv-top-card--experience-list .pv-entity__secondary-title',
+      '.experience-section .pv-entity__summary-info h3 + .pv-entity__secondary-title'
+    ],
+    companyFallbackText: [
+      '.t-14',
+      '.t-normal',
+      'span[aria-hidden="true"]'
+    ],
+
+    // About
+    bio: [
+      '.inline-show-more-text span[aria-hidden="true"]',
+      '.pv-shared-text-with-see-more span[aria-hidden="true"]',
+      '.display-flex.ph5 span[aria-hidden="true"]',
+      '.pv-about__summary-text',
+      '.lt-line-clamp__raw-line'
+    ],
+    bioSeeMore: [
+      'button.inline-show-more-text__button[aria-expanded="false"]',
+      'button.lt-line-clamp__more',
+      '.pv-shared-text-with-see-more button[aria-expanded="false"]'
+    ],
+
+    // Education, skills and certifications
+    educationSchool: [
+      '.pv-entity__school-name',
+      'h3 span[aria-hidden="true"]',
+      'h3'
+    ],
+    educationDegree: [
+      '.pv-entity__degree-name .pv-entity__comma-item',
+      '.pv-entity__degree-name span:last-child'
+    ],
+    educationFieldOfStudy: [
+      '.pv-entity__fos .pv-entity__comma-item',
+      '.pv-entity__fos span:last-child'
+    ],
+    educationDates: [
+      '.pv-entity__dates span:last-child',
+      '.pv-entity__dates time'
+    ],
+    skillsDetailsSection: [
+      'main section:has(.pvs-list__paged-list-item)',
+      'main section',
+      'main'
+    ],
+    certificationCredentialLink: [
+      'a[aria-label*="credential" i]',
+      'a.optional-action-target-wrapper[href^="http"]:not([href*="linkedin.com"])'
+    ],
+
+    // Contact info overlay
+    contactInfoLink: [
+      '#top-card-text-details-contact-info',
+      'a[href*="/overlay/contact-info"]'
+    ],
+    contactInfoModal: [
+      '.artdeco-modal .pv-contact-info',
+      '.artdeco-modal section.pv-contact-info__contact-type',
+      '.pv-profile-section__section-info'
+    ],
+    contactInfoSection: [
+      'section.pv-contact-info__contact-type'
+    ],
+    contactInfoValue: [
+      '.pv-contact-info__ci-container span.t-14',
+      'li span.t-14',
+      '.pv-contact-info__ci-container',
+      'span.t-14',
+      'div.t-14'
+    ],
+    contactInfoDismiss: [
+      'button[aria-label="Dismiss"]',
+      'button.artdeco-modal__dismiss'
+    ],
+
+    // People search results (linkedin.com/search/results/people/)
+    searchResultItem: [
+      'li.reusable-search__result-container',
+      'div[data-view-name="search-entity-result-universal-template"]',
+      '.search-results-container ul[role="list"] > li',
+      'main ul[role="list"] > li:has(a[href*="/in/"])'
+    ],
+    searchResultLink: [
+      '.entity-result__title-text a[href*="/in/"]',
+      'a[data-test-app-aware-link][href*="/in/"]',
+      'a[href*="/in/"]'
+    ],
+    searchResultName: [
+      '.entity-result__title-text a span[aria-hidden="true"]',
+      'a[href*="/in/"] span[aria-hidden="true"]',
+      '.entity-result__title-text a'
+    ],
+    searchResultHeadline: [
+      '.entity-result__primary-subtitle',
+      '.t-14.t-black.t-normal'
+    ],
+    searchResultLocation: [
+      '.entity-result__secondary-subtitle',
+      '.t-14.t-normal:not(.t-black)'
+    ],
+
+    // Company pages (linkedin.com/company/<name>/)
+    companyName: [
+      'h1.org-top-card-summary__title',
+      '.org-top-card-summary__title',
+      'section.org-top-card h1',
+      'main h1'
+    ],
+    companyTopCardItem: [
+      '.org-top-card-summary-info-list__info-item',
+      '.org-top-card-summary-info-list .inline-block > div',
+      '.org-top-card-summary-info-list > *'
+    ],
+    companyDetailsList: [
+      'section.org-page-details-module__card-spacing dl',
+      '.org-about-module dl',
+      'main dl'
+    ],
+    companyDescription: [
+      'section.org-page-details-module__card-spacing p.break-words',
+      'p.org-about-us-organization-description__text',
+      '.org-about-module__description',
+      'section.org-about-module p'
+    ],
+
+    // Sales Navigator lead pages (linkedin.com/sales/lead/<id>)
+    salesLeadName: [
+      'h1[data-anonymize="person-name"]',
+      '[data-x--lead--name]',
+      '.profile-topcard-person-entity__name'
+    ],
+    salesLeadHeadline: [
+      '[data-anonymize="headline"]',
+      '.profile-topcard__summary-position'
+    ],
+    salesLeadLocation: [
+      '[data-anonymize="location"]',
+      '.profile-topcard__location-data'
+    ],
+    salesLeadPicture: [
+      'img[data-anonymize="headshot-photo"]',
+      '.profile-topcard-person-entity__image img'
+    ],
+    salesLeadAbout: [
+      '[data-anonymize="person-blurb"]',
+      'section[data-sn-view-name="lead-about"] p'
+    ],
+    salesLeadCurrentRole: [
+      'section[data-sn-view-name="lead-current-role"]',
+      '.profile-topcard__current-positions'
+    ],
+    salesLeadJobTitle: [
+      '[data-anonymize="job-title"]',
+      '.profile-topcard__summary-position-title'
+    ],
+    salesLeadAccount: [
+      'a[data-anonymize="company-name"]',
+      '[data-anonymize="company-name"]',
+      'a[href*="/sales/company/"]'
+    ],
+    salesLeadExperienceItem: [
+      'section[data-sn-view-name="lead-experience"] li',
+      '#experience-section li'
+    ],
+    salesLeadEducationItem: [
+      'section[data-sn-view-name="lead-education"] li',
+      '#education-section li'
+    ],
+    salesLeadSchool: [
+      '[data-anonymize="education-name"]',
+      'h3'
+    ],
+    salesLeadDegree: [
+      '[data-anonymize="degree-name"]'
+    ],
+    salesLeadPublicProfileLink: [
+      'a[href*="linkedin.com/in/"]'
+    ],
+
+    // Recruiter profiles (linkedin.com/talent/profile/<id>)
+    recruiterName: [
+      '[data-test-row-lockup-full-name]',
+      '[data-live-test-row-lockup-full-name]',
+      '.artdeco-entity-lockup__title'
+    ],
+    recruiterHeadline: [
+      '[data-test-row-lockup-headline]',
+      '[data-live-test-row-lockup-headline]',
+      '.artdeco-entity-lockup__subtitle'
+    ],
+    recruiterLocation: [
+      '[data-test-row-lockup-location]',
+      '[data-live-test-row-lockup-location]',
+      '.artdeco-entity-lockup__caption'
+    ],
+    recruiterPicture: [
+      '[data-test-row-lockup-figure] img',
+      '.artdeco-entity-lockup__image img'
+    ],
+    recruiterSummary: [
+      '[data-test-summary-card-text]',
+      '[data-live-test-summary-card-text]'
+    ],
+    recruiterEmail: [
+      '[data-test-contact-email-address]',
+      'a[href^="mailto:"]'
+    ],
+    recruiterPhone: [
+      '[data-test-contact-phone]',
+      'a[href^="tel:"]'
+    ],
+    recruiterPublicProfileLink: [
+      'a[data-test-public-profile-link]',
+      'a[href*="linkedin.com/in/"]'
+    ],
+    recruiterPipelineStage: [
+      '[data-test-pipeline-stage-dropdown] button',
+      '[data-live-test-pipeline-stage]',
+      '[data-test-hiring-state]'
+    ],
+    recruiterProjectName: [
+      '[data-test-project-header-name]',
+      '[data-live-test-project-name]'
+    ],
+    recruiterProjectItem: [
+      '[data-test-projects-card] li',
+      '[data-live-test-projects-card] li'
+    ],
+    recruiterExperienceItem: [
+      '[data-test-expandable-list-profile-section-card="experience"] li',
+      '[data-live-test-profile-experience-card] li'
+    ],
+    recruiterPositionTitle: [
+      '[data-test-position-entity-title]'
+    ],
+    recruiterPositionCompany: [
+      '[data-test-position-entity-company-link]',
+      '[data-test-position-entity-company-name]'
+    ],
+    recruiterPositionDates: [
+      '[data-test-position-entity-date-range]'
+    ],
+    recruiterPositionDuration: [
+      '[data-test-position-entity-duration]'
+    ],
+    recruiterPositionLocation: [
+      '[data-test-position-entity-location]'
+    ],
+    recruiterPositionDescription: [
+      '[data-test-position-entity-description]'
+    ],
+    recruiterEducationItem: [
+      '[data-test-expandable-list-profile-section-card="education"] li',
+      '[data-live-test-profile-education-card] li'
+    ],
+    recruiterSchool: [
+      '[data-test-education-entity-school-name]'
+    ],
+    recruiterDegree: [
+      '[data-test-education-entity-degree-name]'
+    ],
+    recruiterFieldOfStudy: [
+      '[data-test-education-entity-field-of-study]'
+    ],
+    recruiterEducationDates: [
+      '[data-test-education-entity-dates]'
+    ],
+    recruiterSkillItem: [
+      '[data-test-expandable-list-profile-section-card="skills"] li',
+      '[data-live-test-profile-skills-card] li'
+    ],
+
+    // List harvesting (My Network connections, event attendees)
+    harvestListItem: [
+      'li.mn-connection-card',
+      '.artdeco-modal li.artdeco-list__item',
+      '.scaffold-finite-scroll__content > ul > li'
+    ],
+    harvestProfileLink: [
+      'a.mn-connection-card__link',
+      'a[href*="/in/"]'
+    ],
+    harvestName: [
+      '.mn-connection-card__name',
+      '.artdeco-entity-lockup__title',
+      'a[href*="/in/"] span[aria-hidden="true"]'
+    ],
+    harvestHeadline: [
+      '.mn-connection-card__occupation',
+      '.artdeco-entity-lockup__subtitle'
+    ],
+    harvestListHeader: [
+      '.mn-connections__header h1',
+      '.mn-connections__header',
+      '.artdeco-modal__header h2',
+      '.artdeco-modal__header'
+    ],
+    harvestEventName: [
+      '.events-top-card__title',
+      '.events-live-top-card__title',
+      'main h1'
+    ],
+    harvestLoadMoreButton: [
+      'button.scaffold-finite-scroll__load-button'
+    ],
+    harvestScrollContainer: [
+      '.artdeco-modal__content'
+    ]
+  }
+};
+
+/**
+ * Loads, validates and stores selector packs in chrome.storage.local.
+ * A stored pack overrides the bundled one key by key; keys it does not
+ * define keep their bundled selectors. Selectors learned with the element
+ * picker are stored next to the pack, keyed by profile field.
+ */
+class SelectorPackService {
+  constructor() {
+    this.STORAGE_KEY = 'selectorPack';
+    this.CUSTOM_STORAGE_KEY = 'customSelectors';
+    this.MAX_CUSTOM_SELECTORS = 5;
+    this.pack = DEFAULT_SELECTOR_PACK;
+    this.customSelectors = {};
+  }
+
+  /**
+   * Load the active pack and learned selectors from storage
+   */
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY, this.CUSTOM_STORAGE_KEY]);
+      this.pack = this.resolvePack(result[this.STORAGE_KEY]);
+      this.customSelectors = result[this.CUSTOM_STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('Failed to load selector pack:', error);
+      this.pack = DEFAULT_SELECTOR_PACK;
+    }
+    return this.pack;
+  }
+
+  /**
+   * Merge a stored pack over the bundled one. A pack imported before an
+   * extension update shipped newer bundled selectors still applies, marked
+   * with the bundled version it is older than so the side panel can say so.
+   */
+  resolvePack(storedPack) {
+    if (!storedPack) {
+      return DEFAULT_SELECTOR_PACK;
+    }
+
+    if (this.validatePack(storedPack).length > 0) {
+      console.warn('Stored selector pack is invalid, using bundled selectors');
+      return DEFAULT_SELECTOR_PACK;
+    }
+
+    const pack = {
+      ...storedPack,
+      selectors: { ...DEFAULT_SELECTOR_PACK.selectors, ...storedPack.selectors }
+    };
+
+    if (this.compareVersions(storedPack.version, DEFAULT_SELECTOR_PACK.version) < 0) {
+      console.warn(`Stored selector pack ${storedPack.version} is older than bundled ${DEFAULT_SELECTOR_PACK.version}; its selectors still override the bundled ones`);
+      pack.supersededBy = DEFAULT_SELECTOR_PACK.version;
+    }
+
+    return pack;
+  }
+
+  /**
+   * Get the selector chain for a key
+   */
+  get(key) {
+    return this.pack.selectors[key] || DEFAULT_SELECTOR_PACK.selectors[key] || [];
+  }
+
+  getVersion() {
+    return this.pack.version;
+  }
+
+  /**
+   * Get the selectors learned for a profile field, most recent first
+   */
+  getCustomSelectors(field) {
+    return this.customSelectors[field] || [];
+  }
+
+  getCustomSelectorCount() {
+    return Object.values(this.customSelectors).reduce((sum, selectors) => sum + selectors.length, 0);
+  }
+
+  /**
+   * Remember a selector picked for a field, keeping the most recent few
+   */
+  async learnSelector(field, selector) {
+    if (!this.isValidSelector(selector)) {
+      throw new Error(`Invalid selector: ${selector}`);
+    }
+
+    const selectors = [selector, ...this.getCustomSelectors(field).filter(existing => existing !== selector)]
+      .slice(0, this.MAX_CUSTOM_SELECTORS);
+    this.customSelectors = { ...this.customSelectors, [field]: selectors };
+
+    await chrome.storage.local.set({ [this.CUSTOM_STORAGE_KEY]: this.customSelectors });
+    console.log(`Learned selector for ${field}:`, selector);
+  }
+
+  /**
+   * Forget all learned selectors
+   */
+  async clearCustomSelectors() {
+    try {
+      await chrome.storage.local.remove(this.CUSTOM_STORAGE_KEY);
+      this.customSelectors = {};
+      console.log('Learned selectors cleared');
+    } catch (error) {
+      console.error('Failed to clear learned selectors:', error);
+    }
+  }
+
+  isCustom() {
+    return this.pack !== DEFAULT_SELECTOR_PACK;
+  }
+
+  /**
+   * Bundled version newer than the imported pack in use, or null
+   */
+  getSupersededBy() {
+    return this.pack.supersededBy || null;
+  }
+
+  /**
+   * Validate a pack's shape and selector syntax
+   * @returns {string[]} Validation errors, empty when the pack is valid
+   */
+  validatePack(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      return ['Selector pack must be a JSON object'];
+    }
+
+    const errors = [];
+
+    if (typeof pack.version !== 'string' || !/^\d+\.\d+\.\d+$/.test(pack.version)) {
+      errors.push('"version" must be a version string like "1.2.0"');
+    }
+
+    if (!pack.selectors || typeof pack.selectors !== 'object' || Array.isArray(pack.selectors)) {
+      errors.push('"selectors" must be an object of selector arrays');
+      return errors;
+    }
+
+    Object.entries(pack.selectors).forEach(([key, selectors]) => {
+      if (!Array.isArray(selectors) || selectors.some(selector => typeof selector !== 'string' || !selector.trim())) {
+        errors.push(`"${key}" must be an array of selector strings`);
+        return;
+      }
+
+      const invalid = selectors.find(selector => !this.isValidSelector(selector));
+      if (invalid) {
+        errors.push(`"${key}" has an invalid selector: ${invalid}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check selector syntax where a DOM is available (not in the service worker)
+   */
+  isValidSelector(selector) {
+    if (typeof document === 'undefined') return true;
+
+    try {
+      document.createDocumentFragment().querySelector(selector.replace(/\{section\}/g, 'section'));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Compare "major.minor.patch" versions
+   * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+   */
+  compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+
+    for (let i = 0; i < 3; i++) {
+      const diff = (partsA[i] || 0) - (partsB[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+
+  /**
+   * Validate and store a pack from a JSON string
+   * @throws {Error} When the JSON is malformed, invalid or older than the bundled pack
+   */
+  async importPack(jsonString) {
+    let pack;
+    try {
+      pack = JSON.parse(jsonString);
+    } catch (e) {
+      throw new Error('Selector pack is not valid JSON');
+    }
+
+    const errors = this.validatePack(pack);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    if (this.compareVersions(pack.version, DEFAULT_SELECTOR_PACK.version) < 0) {
+      throw new Error(`Selector pack ${pack.version} is older than the bundled pack ${DEFAULT_SELECTOR_PACK.version}`);
+    }
+
+    const storedPack = { version: pack.version, selectors: pack.selectors, importedAt: Date.now() };
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: storedPack });
+    this.pack = this.resolvePack(storedPack);
+    console.log(`Selector pack ${pack.version} imported`);
+    return this.pack;
+  }
+
+  /**
+   * Export the active pack (bundled selectors included) as JSON
+   */
+  exportPack() {
+    return JSON.stringify({ version: this.pack.version, selectors: this.pack.selectors }, null, 2);
+  }
+
+  /**
+   * Drop the stored pack and go back to the bundled selectors
+   */
+  async resetToDefault() {
+    try {
+      await chrome.storage.local.remove(this.STORAGE_KEY);
+      this.pack = DEFAULT_SELECTOR_PACK;
+      console.log('Selector pack reset to bundled defaults');
+    } catch (error) {
+      console.error('Failed to reset selector pack:', error);
+    }
+  }
+
+  /**
+   * Hot reload: call back whenever another context imports or resets a pack
+   * or learns a selector
+   */
+  onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || (!changes[this.STORAGE_KEY] && !changes[this.CUSTOM_STORAGE_KEY])) {
+        return;
+      }
+
+      if (changes[this.STORAGE_KEY]) {
+        this.pack = this.resolvePack(changes[this.STORAGE_KEY].newValue);
+      }
+      if (changes[this.CUSTOM_STORAGE_KEY]) {
+        this.customSelectors = changes[this.CUSTOM_STORAGE_KEY].newValue || {};
+      }
+      callback(this.pack, {
+        packChanged: Boolean(changes[this.STORAGE_KEY]),
+        customSelectorsChanged: Boolean(changes[this.CUSTOM_STORAGE_KEY])
+      });
+    });
+  }
+}
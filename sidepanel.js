@@ -8,23 +8,75 @@ class SidePanelManager {
     this.isLoading = false;
     this.currentProfileData = {};
     this.fieldMappings = {};
+    // How saving into an existing Airtable record treats each field; unlisted fields are overwritten
+    this.fieldMergeRules = {};
+    this.defaultMergeRules = {
+      notes: 'append',
+      tags: 'union'
+    };
     this.defaultFieldMappings = {
       fullName: 'Name',
+      headline: 'Headline',
       jobTitle: 'Job Title',
       company: 'Company',
       location: 'Location',
+      bio: 'Bio',
       email: 'Email',
       phone: 'Phone',
+      websites: 'Website',
+      twitter: 'Twitter',
+      birthday: 'Birthday',
       profileUrl: 'LinkedIn URL',
       profilePicture: 'Profile Picture',
       tags: 'Tag',
       notes: 'Notes',
       contactDate: 'Contact Date',
-      followUpDate: 'Follow Up On'
+      followUpDate: 'Follow Up On',
+      experience: 'Experience',
+      education: 'Education',
+      skills: 'Skills',
+      certifications: 'Certifications',
+      languages: 'Languages',
+      volunteer: 'Volunteer',
+      followerCount: 'Followers',
+      connectionCount: 'Connections',
+      openToWork: 'Open to Work',
+      hiring: 'Hiring',
+      premium: 'Premium',
+      creator: 'Creator Mode',
+      salesNavigatorUrl: 'Sales Navigator URL',
+      roleTenure: 'Tenure in Role',
+      companyTenure: 'Tenure at Company',
+      recruiterUrl: 'Recruiter URL',
+      recruiterProjects: 'Recruiter Projects',
+      pipelineStage: 'Pipeline Stage'
     };
+    // Extracted values below this confidence are flagged for review
+    this.lowConfidenceThreshold = 0.6;
     this.tagStorage = new TagStorageService();
+    this.selectorPack = new SelectorPackService();
     this.selectedSuggestionIndex = -1;
     this.currentSuggestions = [];
+    // People listed on a LinkedIn search results page, with per-row save state
+    this.searchResults = [];
+    // Profiles harvested from connection and event attendee lists, waiting to be saved
+    this.harvestQueue = new HarvestQueueService();
+    this.harvestTabId = null;
+    // Saves that failed on network errors or rate limits; the service worker retries them
+    this.saveQueue = new SaveQueueService();
+    // Company pages are saved to a separate table with their own mappings
+    this.currentCompanyData = {};
+    this.companyFieldMappings = {};
+    this.defaultCompanyFieldMappings = {
+      name: 'Name',
+      industry: 'Industry',
+      companySize: 'Company Size',
+      headquarters: 'Headquarters',
+      website: 'Website',
+      followerCount: 'Followers',
+      description: 'Description',
+      profileUrl: 'LinkedIn URL'
+    };
     this.init();
   }
 
@@ -32,9 +84,11 @@ class SidePanelManager {
    * Initialize side panel
    */
   async init() {
+    this.setupMergeRuleSelects();
     this.setupEventListeners();
     this.setupMessageListener();
     await this.loadConfiguration();
+    this.renderSaveQueue(await this.saveQueue.getQueue());
     await this.checkCurrentPage();
   }
 
@@ -63,6 +117,11 @@ class SidePanelManager {
       this.saveContact();
     });
 
+    // Editing a flagged field counts as reviewing it
+    document.getElementById('contactForm').addEventListener('input', (e) => {
+      e.target.classList.remove('low-confidence');
+    });
+
     // Clear form
     document.getElementById('clearForm').addEventListener('click', () => {
       this.clearForm();
@@ -86,19 +145,37 @@ class SidePanelManager {
     });
 
     // Auto-save configuration on input
-    ['apiToken', 'baseId', 'tableId'].forEach(fieldId => {
+    ['apiToken', 'baseId', 'tableId', 'companyTableId'].forEach(fieldId => {
       document.getElementById(fieldId).addEventListener('input',
         this.debounce(() => this.saveConfiguration(), 1000)
       );
     });
 
-    // Auto-save when duplicate prevention toggle changes
-    const preventDuplicatesCheckbox = document.getElementById('preventDuplicates');
-    if (preventDuplicatesCheckbox) {
-      preventDuplicatesCheckbox.addEventListener('change', () => {
+    // Merge rules never apply to the field records are matched on
+    document.getElementById('mergeOn')?.addEventListener('change', () => {
+      this.updateMergeRuleSelects();
+    });
+
+    // Auto-save when duplicate prevention settings change
+    ['preventDuplicates', 'mergeOn'].forEach(fieldId => {
+      document.getElementById(fieldId)?.addEventListener('change', () => {
         this.saveConfiguration();
       });
-    }
+    });
+
+    // Auto-save when extraction setting toggles change
+    ['readContactInfo', 'learnPickedSelectors'].forEach(fieldId => {
+      document.getElementById(fieldId)?.addEventListener('change', () => {
+        this.saveConfiguration();
+      });
+    });
+
+    // Pick a field's value from the LinkedIn page
+    document.querySelectorAll('[data-pick-field]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.startElementPicker(button.dataset.pickField);
+      });
+    });
 
     // Auto-save field mappings on input and update badges
     Object.keys(this.defaultFieldMappings).forEach(dataKey => {
@@ -153,6 +230,114 @@ class SidePanelManager {
 
     // Initialize tag statistics
     this.refreshTagStatistics();
+
+    // Selector pack management event listeners
+    document.getElementById('importSelectorPack')?.addEventListener('click', () => {
+      this.importSelectorPack();
+    });
+
+    document.getElementById('exportSelectorPack')?.addEventListener('click', () => {
+      this.exportSelectorPack();
+    });
+
+    document.getElementById('resetSelectorPack')?.addEventListener('click', () => {
+      this.resetSelectorPack();
+    });
+
+    document.getElementById('runDiagnostics')?.addEventListener('click', () => {
+      this.runSelectorDiagnostics();
+    });
+
+    document.getElementById('exportFixture')?.addEventListener('click', () => {
+      this.exportPageFixture();
+    });
+
+    // People search results
+    document.getElementById('searchResultsList')?.addEventListener('change', (e) => {
+      const index = Number(e.target.dataset.resultIndex);
+      if (this.searchResults[index]) {
+        this.searchResults[index].selected = e.target.checked;
+        this.updateSearchSelection();
+      }
+    });
+
+    document.getElementById('selectAllResults')?.addEventListener('change', (e) => {
+      this.searchResults.forEach(result => { result.selected = e.target.checked; });
+      this.renderSearchResults();
+    });
+
+    document.getElementById('refreshSearchResults')?.addEventListener('click', () => {
+      this.checkCurrentPage();
+    });
+
+    document.getElementById('saveSelectedResults')?.addEventListener('click', () => {
+      this.saveSelectedResults();
+    });
+
+    Object.keys(this.defaultCompanyFieldMappings).forEach(dataKey => {
+      document.getElementById(`companyMapping-${dataKey}`)?.addEventListener('input',
+        this.debounce(() => this.saveConfiguration(), 1000)
+      );
+    });
+
+    document.getElementById('refreshCompany')?.addEventListener('click', () => {
+      this.checkCurrentPage();
+    });
+
+    document.getElementById('saveCompany')?.addEventListener('click', () => {
+      this.saveCompany();
+    });
+
+    // Connections / event attendee harvesting
+    document.getElementById('startHarvest')?.addEventListener('click', () => {
+      this.startHarvest();
+    });
+
+    document.getElementById('stopHarvest')?.addEventListener('click', () => {
+      this.stopHarvest();
+    });
+
+    document.getElementById('saveHarvestQueue')?.addEventListener('click', () => {
+      this.saveHarvestQueue();
+    });
+
+    document.getElementById('clearHarvestQueue')?.addEventListener('click', () => {
+      this.clearHarvestQueue();
+    });
+
+    // Pending saves
+    document.getElementById('retrySaveQueue')?.addEventListener('click', () => {
+      this.retrySaveQueue();
+    });
+
+    document.getElementById('saveQueueList')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-queue-action]');
+      if (!button) return;
+
+      if (button.dataset.queueAction === 'retry') {
+        this.retrySaveQueue([button.dataset.queueId]);
+      } else {
+        this.discardSaveQueueItem(button.dataset.queueId);
+      }
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+
+      if (changes[this.harvestQueue.STORAGE_KEY]) {
+        this.renderHarvestQueue(changes[this.harvestQueue.STORAGE_KEY].newValue || []);
+      }
+      if (changes[this.saveQueue.STORAGE_KEY]) {
+        this.renderSaveQueue(changes[this.saveQueue.STORAGE_KEY].newValue || []);
+      }
+    });
+
+    document.getElementById('clearLearnedSelectors')?.addEventListener('click', () => {
+      this.clearLearnedSelectors();
+    });
+
+    this.selectorPack.load().then(() => this.refreshSelectorPackInfo());
+    this.selectorPack.onChange(() => this.refreshSelectorPackInfo());
   }
 
   /**
@@ -171,17 +356,43 @@ class SidePanelManager {
   handleMessage(request, sender, sendResponse) {
     switch (request.action) {
       case 'profileDataExtracted':
+        this.setPageMode('profile');
         this.populateForm(request.data);
         this.updateStatus('Profile data loaded');
         sendResponse({ success: true });
         break;
 
+      case 'searchResultsExtracted':
+        this.showSearchResults(request.data);
+        sendResponse({ success: true });
+        break;
+
+      case 'companyDataExtracted':
+        this.showCompany(request.data);
+        sendResponse({ success: true });
+        break;
+
+      case 'harvestProgress':
+        this.renderHarvestProgress(request.data);
+        sendResponse({ success: true });
+        break;
+
       case 'profileExtractionError':
         this.showAlert(`Failed to extract profile data: ${request.error}`, 'error');
         this.updateStatus('Error', 'error');
         sendResponse({ success: true });
         break;
 
+      case 'elementPicked':
+        this.applyPickedValue(request.field, request.value, request.selector);
+        sendResponse({ success: true });
+        break;
+
+      case 'elementPickCancelled':
+        this.setPickingField(null);
+        sendResponse({ success: true });
+        break;
+
       default:
         sendResponse({ success: false, error: 'Unknown action' });
     }
@@ -210,22 +421,40 @@ class SidePanelManager {
    */
   async loadConfiguration() {
     try {
-      const result = await chrome.storage.sync.get(['airtableConfig', 'fieldMappings']);
+      const result = await chrome.storage.sync.get(['airtableConfig', 'fieldMappings', 'companyFieldMappings', 'fieldMergeRules', 'extractionSettings']);
 
       if (result.airtableConfig) {
         const config = result.airtableConfig;
         document.getElementById('apiToken').value = config.apiToken || '';
         document.getElementById('baseId').value = config.baseId || '';
         document.getElementById('tableId').value = config.tableId || '';
+        document.getElementById('companyTableId').value = config.companyTableId || '';
 
         const preventDuplicatesCheckbox = document.getElementById('preventDuplicates');
         if (preventDuplicatesCheckbox) {
           preventDuplicatesCheckbox.checked = config.preventDuplicates !== false;
         }
+
+        const mergeOnSelect = document.getElementById('mergeOn');
+        if (mergeOnSelect) {
+          mergeOnSelect.value = config.mergeOn || 'profileUrl';
+        }
+      }
+
+      const readContactInfoCheckbox = document.getElementById('readContactInfo');
+      if (readContactInfoCheckbox) {
+        readContactInfoCheckbox.checked = result.extractionSettings?.readContactInfo === true;
+      }
+
+      const learnPickedSelectorsCheckbox = document.getElementById('learnPickedSelectors');
+      if (learnPickedSelectorsCheckbox) {
+        learnPickedSelectorsCheckbox.checked = result.extractionSettings?.learnPickedSelectors === true;
       }
 
       // Load field mappings
       this.fieldMappings = result.fieldMappings || {};
+      this.companyFieldMappings = result.companyFieldMappings || {};
+      this.fieldMergeRules = result.fieldMergeRules || {};
       this.populateFieldMappings();
 
     } catch (error) {
@@ -239,11 +468,21 @@ class SidePanelManager {
    */
   async saveConfiguration() {
     const preventDuplicatesCheckbox = document.getElementById('preventDuplicates');
+    const mergeOnSelect = document.getElementById('mergeOn');
     const config = {
       apiToken: document.getElementById('apiToken').value.trim(),
       baseId: document.getElementById('baseId').value.trim(),
       tableId: document.getElementById('tableId').value.trim(),
-      preventDuplicates: preventDuplicatesCheckbox ? preventDuplicatesCheckbox.checked : true
+      companyTableId: document.getElementById('companyTableId').value.trim(),
+      preventDuplicates: preventDuplicatesCheckbox ? preventDuplicatesCheckbox.checked : true,
+      mergeOn: mergeOnSelect ? mergeOnSelect.value : 'profileUrl'
+    };
+
+    const readContactInfoCheckbox = document.getElementById('readContactInfo');
+    const learnPickedSelectorsCheckbox = document.getElementById('learnPickedSelectors');
+    const extractionSettings = {
+      readContactInfo: readContactInfoCheckbox ? readContactInfoCheckbox.checked : false,
+      learnPickedSelectors: learnPickedSelectorsCheckbox ? learnPickedSelectorsCheckbox.checked : false
     };
 
     // Collect field mappings
@@ -255,13 +494,39 @@ class SidePanelManager {
       }
     });
 
+    // Only rules that differ from the defaults are stored; a hidden select
+    // (email while records are matched on email) keeps its stored rule
+    const fieldMergeRules = {};
+    Object.keys(this.defaultFieldMappings).forEach(dataKey => {
+      const mergeSelect = document.getElementById(`mapping-${dataKey}-merge`);
+      if (!mergeSelect) return;
+      if (mergeSelect.hidden) {
+        if (this.fieldMergeRules[dataKey]) fieldMergeRules[dataKey] = this.fieldMergeRules[dataKey];
+      } else if (mergeSelect.value !== this.getDefaultMergeRule(dataKey)) {
+        fieldMergeRules[dataKey] = mergeSelect.value;
+      }
+    });
+
+    const companyFieldMappings = {};
+    Object.keys(this.defaultCompanyFieldMappings).forEach(dataKey => {
+      const mappingField = document.getElementById(`companyMapping-${dataKey}`);
+      if (mappingField && mappingField.value.trim()) {
+        companyFieldMappings[dataKey] = mappingField.value.trim();
+      }
+    });
+
     try {
       await chrome.storage.sync.set({ 
         airtableConfig: config,
-        fieldMappings: fieldMappings
+        fieldMappings: fieldMappings,
+        companyFieldMappings: companyFieldMappings,
+        fieldMergeRules: fieldMergeRules,
+        extractionSettings: extractionSettings
       });
       
       this.fieldMappings = fieldMappings;
+      this.companyFieldMappings = companyFieldMappings;
+      this.fieldMergeRules = fieldMergeRules;
       
       // Test connection if all fields are filled
       if (config.apiToken && config.baseId && config.tableId) {
@@ -312,6 +577,20 @@ class SidePanelManager {
         mappingField.value = savedMapping || '';
         mappingField.placeholder = defaultMapping;
       }
+
+      const mergeSelect = document.getElementById(`mapping-${dataKey}-merge`);
+      if (mergeSelect) {
+        mergeSelect.value = this.fieldMergeRules[dataKey] || this.getDefaultMergeRule(dataKey);
+      }
+    });
+    this.updateMergeRuleSelects();
+
+    Object.keys(this.defaultCompanyFieldMappings).forEach(dataKey => {
+      const mappingField = document.getElementById(`companyMapping-${dataKey}`);
+      if (mappingField) {
+        mappingField.value = this.companyFieldMappings[dataKey] || '';
+        mappingField.placeholder = this.defaultCompanyFieldMappings[dataKey];
+      }
     });
   }
 
@@ -440,7 +719,24 @@ class SidePanelManager {
       const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
       const currentTab = tabs[0];
 
-      if (!currentTab || !currentTab.url?.includes('linkedin.com/in/')) {
+      if (currentTab?.url?.includes('linkedin.com/search/results/people/')) {
+        await this.loadSearchResults(currentTab.id);
+        return;
+      }
+
+      if (currentTab?.url?.includes('linkedin.com/company/')) {
+        await this.loadCompany(currentTab.id);
+        return;
+      }
+
+      if (/linkedin\.com\/(mynetwork\/invite-connect\/connections|events\/[^/?#]+)/.test(currentTab?.url || '')) {
+        await this.loadHarvestStatus(currentTab.id);
+        return;
+      }
+
+      this.setPageMode('profile');
+
+      if (!currentTab || !this.isProfileUrl(currentTab.url)) {
         this.updateStatus('Navigate to a LinkedIn profile');
         return;
       }
@@ -474,18 +770,21 @@ class SidePanelManager {
 
     // Auto-fill fields and mark them as auto-filled
     const autoFillFields = [
-      'fullName', 'jobTitle', 'company', 'location', 'profileUrl'
+      'fullName', 'headline', 'jobTitle', 'company', 'location', 'bio', 'profileUrl',
+      'email', 'phone', 'websites', 'twitter', 'birthday'
     ];
 
     autoFillFields.forEach(fieldId => {
       const element = document.getElementById(fieldId);
-      if (element && profileData[fieldId]) {
-        element.value = profileData[fieldId];
-        element.classList.add('auto-filled');
+      if (!element) return;
 
-        // Clear any previous errors
-        this.clearFieldError(fieldId);
-      }
+      // Fields this profile has no value for are emptied, so the previous profile's
+      // contact info is not saved onto this one
+      element.value = profileData[fieldId] || '';
+      element.classList.toggle('auto-filled', Boolean(profileData[fieldId]));
+
+      // Clear any previous errors
+      this.clearFieldError(fieldId);
     });
 
     // Set readonly URL
@@ -497,7 +796,168 @@ class SidePanelManager {
     // Handle profile picture display
     this.displayProfilePicture(profileData.profilePicture);
 
-    this.showAlert('Profile data extracted successfully', 'success');
+    this.renderProfileSignals(profileData);
+    this.renderEducation(profileData.education || []);
+    this.renderSkills(profileData.skills || []);
+    this.renderCertifications(profileData.certifications || []);
+    this.renderLanguages(profileData.languages || []);
+
+    const reviewFields = this.showFieldSources(profileData.fieldSources || {});
+    if (reviewFields.length > 0) {
+      this.showAlert(`Profile extracted — please review: ${reviewFields.join(', ')}`, 'warning');
+    } else {
+      this.showAlert('Profile data extracted successfully', 'success');
+    }
+  }
+
+  /**
+   * Show how each field was extracted as a tooltip and flag low-confidence
+   * values (e.g. company found by text heuristics) so they get reviewed
+   * @returns {string[]} Labels of the flagged fields
+   */
+  showFieldSources(fieldSources) {
+    this.clearFieldSources();
+    const reviewFields = [];
+
+    Object.entries(fieldSources).forEach(([field, fieldSource]) => {
+      if (!fieldSource || fieldSource.strategy === 'none') return;
+
+      const element = document.getElementById(field) || document.getElementById(`${field}List`);
+      if (!element) return;
+
+      const confidence = Math.round(fieldSource.confidence * 100);
+      element.dataset.fieldSource = fieldSource.strategy;
+      element.title = `Found via ${fieldSource.strategy}: ${fieldSource.source} (${confidence}% confidence)`;
+
+      if (fieldSource.confidence < this.lowConfidenceThreshold) {
+        element.classList.add('low-confidence');
+        const label = document.querySelector(`label[for="${field}"]`);
+        reviewFields.push(label ? label.textContent.trim() : field.charAt(0).toUpperCase() + field.slice(1));
+      }
+    });
+
+    return reviewFields;
+  }
+
+  /**
+   * Remove extraction source tooltips and low-confidence flags
+   */
+  clearFieldSources() {
+    document.querySelectorAll('[data-field-source]').forEach(element => {
+      element.classList.remove('low-confidence');
+      element.removeAttribute('title');
+      delete element.dataset.fieldSource;
+    });
+  }
+
+  /**
+   * Render follower/connection counts and profile badges as chips
+   */
+  renderProfileSignals(profileData) {
+    const container = document.getElementById('profileSignals');
+    if (!container) return;
+
+    const chips = [];
+    if (typeof profileData.connectionCount === 'number') {
+      chips.push(`${profileData.connectionCount.toLocaleString()}${profileData.connectionCount >= 500 ? '+' : ''} connections`);
+    }
+    if (typeof profileData.followerCount === 'number') {
+      chips.push(`${profileData.followerCount.toLocaleString()} followers`);
+    }
+    if (profileData.openToWork) chips.push('Open to work');
+    if (profileData.hiring) chips.push('Hiring');
+    if (profileData.premium) chips.push('Premium');
+    if (profileData.creator) chips.push('Creator');
+
+    container.innerHTML = '';
+    chips.forEach(text => {
+      const chip = document.createElement('span');
+      chip.className = 'profile-signal';
+      chip.textContent = text;
+      container.appendChild(chip);
+    });
+  }
+
+  /**
+   * Render extracted education entries as a read-only list
+   */
+  renderEducation(education) {
+    this.renderProfileList('educationList', education, 'No education found', entry => ({
+      title: entry.school,
+      meta: [
+        [entry.degree, entry.fieldOfStudy].filter(Boolean).join(', '),
+        [entry.startYear, entry.endYear].filter(Boolean).join(' – ')
+      ].filter(Boolean).join(' · ')
+    }));
+  }
+
+  /**
+   * Render extracted skills with their endorsement counts
+   */
+  renderSkills(skills) {
+    this.renderProfileList('skillsList', skills, 'No skills found', entry => ({
+      title: entry.name,
+      meta: entry.endorsements ? `${entry.endorsements} endorsement${entry.endorsements > 1 ? 's' : ''}` : ''
+    }));
+  }
+
+  /**
+   * Render extracted licenses and certifications
+   */
+  renderCertifications(certifications) {
+    this.renderProfileList('certificationsList', certifications, 'No certifications found', entry => ({
+      title: entry.name,
+      meta: [entry.issuer, entry.issueDate].filter(Boolean).join(' · ')
+    }));
+  }
+
+  /**
+   * Render extracted languages with proficiency
+   */
+  renderLanguages(languages) {
+    this.renderProfileList('languagesList', languages, 'No languages found', entry => ({
+      title: entry.name,
+      meta: entry.proficiency
+    }));
+  }
+
+  /**
+   * Render structured profile entries into a read-only list
+   */
+  renderProfileList(listId, entries, emptyText, formatEntry) {
+    const list = document.getElementById(listId);
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'profile-list__empty';
+      empty.textContent = emptyText;
+      list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const { title, meta } = formatEntry(entry);
+
+      const item = document.createElement('li');
+      item.className = 'profile-list__item';
+
+      const titleElement = document.createElement('div');
+      titleElement.className = 'profile-list__title';
+      titleElement.textContent = title;
+      item.appendChild(titleElement);
+
+      if (meta) {
+        const metaElement = document.createElement('div');
+        metaElement.className = 'profile-list__meta';
+        metaElement.textContent = meta;
+        item.appendChild(metaElement);
+      }
+
+      list.appendChild(item);
+    });
   }
 
   /**
@@ -616,7 +1076,7 @@ class SidePanelManager {
         }
 
         this.showAlert(alertMessage, 'success');
-        this.updateStatus('Saved successfully');
+        this.updateStatus(result.isUpdate ? 'Updated successfully' : 'Saved successfully');
 
         // Record tags for suggestions
         const tags = contactData.tags;
@@ -625,8 +1085,23 @@ class SidePanelManager {
           await this.refreshTagStatistics();
         }
 
+        // A harvested profile opened and saved from the form no longer needs saving from the queue
+        await this.harvestQueue.removeProfiles([contactData.profileUrl]);
+
         // Clear manual fields but keep auto-filled data
         this.clearManualFields();
+      } else if (result.queued) {
+        // The contact is safe in the save queue, so the form can move on as after a save
+        this.showAlert(`${result.error}\n\nThe contact was added to Pending Saves and will be retried automatically.`, 'warning');
+        this.updateStatus('Queued for retry');
+
+        if (contactData.tags) {
+          await this.tagStorage.recordTags(contactData.tags);
+          await this.refreshTagStatistics();
+        }
+
+        await this.harvestQueue.removeProfiles([contactData.profileUrl]);
+        this.clearManualFields();
       } else {
         let errorMessage = result.error || 'Failed to save contact';
 
@@ -681,17 +1156,40 @@ class SidePanelManager {
   collectFormData() {
     return {
       fullName: document.getElementById('fullName').value.trim(),
+      headline: document.getElementById('headline').value.trim(),
       jobTitle: document.getElementById('jobTitle').value.trim(),
       company: document.getElementById('company').value.trim(),
       location: document.getElementById('location').value.trim(),
+      bio: document.getElementById('bio').value.trim(),
       profileUrl: document.getElementById('profileUrl').value.trim(),
       email: document.getElementById('email').value.trim(),
       phone: document.getElementById('phone').value.trim(),
+      websites: document.getElementById('websites').value.trim(),
+      twitter: document.getElementById('twitter').value.trim(),
+      birthday: document.getElementById('birthday').value.trim(),
       tags: document.getElementById('tags').value.trim(),
       notes: document.getElementById('notes').value.trim(),
       profilePicture: this.currentProfileData.profilePicture || '',
       contactDate: document.getElementById('contactDate').value.trim(),
-      followUpDate: document.getElementById('followUpDate').value.trim()
+      followUpDate: document.getElementById('followUpDate').value.trim(),
+      experience: this.currentProfileData.experience || [],
+      education: this.currentProfileData.education || [],
+      skills: this.currentProfileData.skills || [],
+      certifications: this.currentProfileData.certifications || [],
+      languages: this.currentProfileData.languages || [],
+      volunteer: this.currentProfileData.volunteer || [],
+      followerCount: this.currentProfileData.followerCount ?? null,
+      connectionCount: this.currentProfileData.connectionCount ?? null,
+      openToWork: this.currentProfileData.openToWork ?? null,
+      hiring: this.currentProfileData.hiring ?? null,
+      premium: this.currentProfileData.premium ?? null,
+      creator: this.currentProfileData.creator ?? null,
+      salesNavigatorUrl: this.currentProfileData.salesNavigatorUrl || '',
+      roleTenure: this.currentProfileData.roleTenure || '',
+      companyTenure: this.currentProfileData.companyTenure || '',
+      recruiterUrl: this.currentProfileData.recruiterUrl || '',
+      recruiterProjects: this.currentProfileData.recruiterProjects || [],
+      pipelineStage: this.currentProfileData.pipelineStage || ''
     };
   }
 
@@ -797,7 +1295,7 @@ class SidePanelManager {
    * Clear manual entry fields only
    */
   clearManualFields() {
-    const manualFields = ['email', 'phone', 'tags', 'notes', 'contactDate', 'followUpDate'];
+    const manualFields = ['email', 'phone', 'websites', 'twitter', 'birthday', 'tags', 'notes', 'contactDate', 'followUpDate'];
 
     manualFields.forEach(fieldId => {
       const field = document.getElementById(fieldId);
@@ -845,6 +1343,13 @@ class SidePanelManager {
       status.className = 'profile-picture-status';
     }
 
+    this.clearFieldSources();
+    this.renderProfileSignals({});
+    this.renderEducation([]);
+    this.renderSkills([]);
+    this.renderCertifications([]);
+    this.renderLanguages([]);
+
     this.currentProfileData = {};
     this.showAlert('Form cleared', 'success');
   }
@@ -944,17 +1449,40 @@ class SidePanelManager {
     // Define compatibility rules for each data field
     const dataFieldCompatibility = {
       fullName: ['singleLineText', 'multilineText', 'richText'],
+      headline: ['singleLineText', 'multilineText', 'richText'],
       jobTitle: ['singleLineText', 'multilineText', 'richText'],
       company: ['singleLineText', 'multilineText', 'richText'],
       location: ['singleLineText', 'multilineText', 'richText'],
+      bio: ['multilineText', 'richText', 'singleLineText'],
       profileUrl: ['url', 'singleLineText', 'multilineText'],
       profilePicture: ['url', 'multipleAttachments', 'singleLineText'],
       email: ['email', 'singleLineText', 'multilineText'],
       phone: ['phoneNumber', 'singleLineText', 'multilineText'],
+      websites: ['url', 'singleLineText', 'multilineText'],
+      twitter: ['singleLineText', 'url'],
+      birthday: ['singleLineText'],
       tags: ['multipleSelects', 'singleSelect', 'singleLineText', 'multilineText'],
       notes: ['multilineText', 'richText', 'singleLineText'],
       contactDate: ['date', 'dateTime', 'singleLineText'],
-      followUpDate: ['date', 'dateTime', 'singleLineText']
+      followUpDate: ['date', 'dateTime', 'singleLineText'],
+      experience: ['multilineText', 'richText', 'multipleRecordLinks', 'singleLineText'],
+      education: ['multilineText', 'richText', 'multipleSelects', 'multipleRecordLinks', 'singleLineText'],
+      skills: ['multipleSelects', 'multilineText', 'richText', 'singleLineText'],
+      certifications: ['multipleSelects', 'multilineText', 'richText', 'multipleRecordLinks', 'singleLineText'],
+      languages: ['multipleSelects', 'multilineText', 'richText', 'singleLineText'],
+      volunteer: ['multilineText', 'richText', 'multipleRecordLinks', 'singleLineText'],
+      followerCount: ['number', 'singleLineText'],
+      connectionCount: ['number', 'singleLineText'],
+      openToWork: ['checkbox'],
+      hiring: ['checkbox'],
+      premium: ['checkbox'],
+      creator: ['checkbox'],
+      salesNavigatorUrl: ['url', 'singleLineText', 'multilineText'],
+      roleTenure: ['singleLineText', 'multilineText'],
+      companyTenure: ['singleLineText', 'multilineText'],
+      recruiterUrl: ['url', 'singleLineText', 'multilineText'],
+      recruiterProjects: ['multipleSelects', 'multilineText', 'singleLineText'],
+      pipelineStage: ['singleSelect', 'singleLineText']
     };
 
     // Update each field mapping badge
@@ -1283,11 +1811,947 @@ Object.assign(SidePanelManager.prototype, {
   },
 
   /**
-   * Escape HTML for safe rendering
+   * Show the active selector pack version and whether it is bundled or imported
    */
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
-});
\ No newline at end of file
+  refreshSelectorPackInfo() {
+    const versionElement = document.getElementById('selectorPackVersion');
+    const sourceElement = document.getElementById('selectorPackSource');
+
+    if (versionElement) {
+      versionElement.textContent = this.selectorPack.getVersion();
+    }
+
+    if (sourceElement) {
+      const supersededBy = this.selectorPack.getSupersededBy();
+      sourceElement.textContent = this.selectorPack.isCustom() ? 'Imported' : 'Bundled';
+      if (supersededBy) {
+        sourceElement.textContent += ` (older than bundled ${supersededBy})`;
+        sourceElement.title = 'An extension update bundled newer selectors. The imported selectors still override them: import an updated pack or reset to use the bundled ones.';
+      } else {
+        sourceElement.removeAttribute('title');
+      }
+    }
+
+    const learnedElement = document.getElementById('learnedSelectorCount');
+    if (learnedElement) {
+      learnedElement.textContent = this.selectorPack.getCustomSelectorCount();
+    }
+  },
+
+  /**
+   * Forget every selector learned with the element picker
+   */
+  async clearLearnedSelectors() {
+    const confirmed = confirm('Forget all selectors learned from picked elements?');
+
+    if (!confirmed) {
+      return;
+    }
+
+    await this.selectorPack.clearCustomSelectors();
+    this.refreshSelectorPackInfo();
+    this.showAlert('Learned selectors cleared', 'success');
+  },
+
+  /**
+   * Ask the content script to let the user click the right element for a field
+   */
+  async startElementPicker(field) {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      const currentTab = tabs[0];
+
+      if (!currentTab || !this.isProfileUrl(currentTab.url)) {
+        this.showAlert('Open a LinkedIn profile to pick a value', 'warning');
+        return;
+      }
+
+      await chrome.tabs.sendMessage(currentTab.id, { action: 'startElementPicker', field });
+      this.setPickingField(field);
+      this.updateStatus('Click the right text on the LinkedIn page (Esc to cancel)', 'loading');
+    } catch (error) {
+      console.error('Element picker error:', error);
+      this.showAlert('Could not start the picker. Try reloading the LinkedIn tab.', 'error');
+    }
+  },
+
+  /**
+   * Highlight the pick button of the field being picked (null clears it)
+   */
+  setPickingField(field) {
+    document.querySelectorAll('[data-pick-field]').forEach(button => {
+      button.classList.toggle('picking', button.dataset.pickField === field);
+    });
+
+    if (!field) {
+      this.updateStatus('Profile data loaded');
+    }
+  },
+
+  /**
+   * Fill a field with the value picked on the page
+   */
+  applyPickedValue(field, value, selector) {
+    this.setPickingField(null);
+
+    const element = document.getElementById(field);
+    if (!element) return;
+
+    element.value = value;
+    element.classList.remove('low-confidence');
+    element.classList.add('auto-filled');
+    element.title = selector ? `Picked from page: ${selector}` : 'Picked from page';
+    this.clearFieldError(field);
+
+    this.currentProfileData = { ...this.currentProfileData, [field]: value };
+
+    const label = document.querySelector(`label[for="${field}"]`);
+    const fieldName = label ? label.textContent.trim() : field;
+    this.showAlert(selector ? `${fieldName} picked — selector learned for future profiles` : `${fieldName} picked from page`, 'success');
+    this.refreshSelectorPackInfo();
+  },
+
+  /**
+   * Import a selector pack from a JSON file. Open LinkedIn tabs pick it up
+   * through storage change events and re-extract.
+   */
+  async importSelectorPack() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json';
+
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+
+      if (!file) {
+        return;
+      }
+
+      try {
+        const text = await file.text();
+        const pack = await this.selectorPack.importPack(text);
+        this.refreshSelectorPackInfo();
+        this.showAlert(`Selector pack ${pack.version} imported`, 'success');
+      } catch (error) {
+        console.error('Selector pack import error:', error);
+        this.showAlert(`Failed to import selector pack: ${error.message}`, 'error');
+      }
+    };
+
+    input.click();
+  },
+
+  /**
+   * Export the active selector pack to JSON
+   */
+  exportSelectorPack() {
+    const json = this.selectorPack.exportPack();
+
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `selector-pack-${this.selectorPack.getVersion()}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    this.showAlert('Selector pack exported successfully', 'success');
+  },
+
+  /**
+   * Go back to the selectors bundled with the extension
+   */
+  async resetSelectorPack() {
+    const confirmed = confirm('Reset to the bundled selector pack? The imported pack will be removed.');
+
+    if (!confirmed) {
+      return;
+    }
+
+    await this.selectorPack.resetToDefault();
+    this.refreshSelectorPackInfo();
+    this.showAlert('Selector pack reset to bundled version', 'success');
+  },
+
+  /**
+   * Ask the content script to run every selector chain against the open profile
+   */
+  async runSelectorDiagnostics() {
+    const container = document.getElementById('selectorDiagnostics');
+    if (!container) return;
+
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      const currentTab = tabs[0];
+
+      if (!currentTab || !this.isProfileUrl(currentTab.url)) {
+        this.showAlert('Open a LinkedIn profile to run diagnostics', 'warning');
+        return;
+      }
+
+      container.textContent = 'Running diagnostics...';
+      const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'runDiagnostics' });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from the page');
+      }
+
+      this.renderDiagnostics(response.data);
+    } catch (error) {
+      console.error('Diagnostics error:', error);
+      container.textContent = '';
+      this.showAlert(`Diagnostics failed: ${error.message}. Try reloading the LinkedIn tab.`, 'error');
+    }
+  },
+
+  /**
+   * Download the open profile as a sanitized HTML fixture for the extraction tests
+   */
+  async exportPageFixture() {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      const currentTab = tabs[0];
+
+      if (!currentTab || !this.isProfileUrl(currentTab.url)) {
+        this.showAlert('Open a LinkedIn profile to export a fixture', 'warning');
+        return;
+      }
+
+      const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'exportFixture' });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from the page');
+      }
+
+      const blob = new Blob([response.data.html], { type: 'text/html' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = response.data.fileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      this.showAlert('Fixture exported. It still contains this profile\'s public data, so review it before sharing.', 'success');
+    } catch (error) {
+      console.error('Fixture export error:', error);
+      this.showAlert(`Fixture export failed: ${error.message}. Try reloading the LinkedIn tab.`, 'error');
+    }
+  },
+
+  /**
+   * Render a diagnostics report: extracted fields, then every selector chain
+   * with the selectors that matched or fell through
+   */
+  renderDiagnostics(report) {
+    const container = document.getElementById('selectorDiagnostics');
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'diagnostics__summary';
+    summary.textContent = `${report.summary.matched}/${report.summary.total} selector chains matched · pack ${report.packVersion} · ` +
+      `${report.embeddedData.voyagerEntities} embedded entities${report.embeddedData.jsonLdPerson ? ' + JSON-LD' : ''}`;
+    container.appendChild(summary);
+
+    if (report.fields.length > 0) {
+      const fieldList = document.createElement('ul');
+      fieldList.className = 'diagnostics__fields';
+
+      report.fields.forEach(field => {
+        const item = document.createElement('li');
+        const value = Array.isArray(field.value) ? `${field.value.length} entries` : String(field.value ?? '');
+        item.textContent = `${field.field}: ${field.strategy} (${Math.round(field.confidence * 100)}%)${value ? ` — ${value}` : ''}`;
+        if (field.strategy === 'none') item.classList.add('diagnostics__miss');
+        fieldList.appendChild(item);
+      });
+
+      container.appendChild(fieldList);
+    }
+
+    report.chains.forEach(chain => {
+      const details = document.createElement('details');
+      details.className = chain.matchedSelector ? 'diagnostics__chain' : 'diagnostics__chain diagnostics__chain--miss';
+
+      const title = document.createElement('summary');
+      title.textContent = `${chain.matchedSelector ? '✓' : '✗'} ${chain.key}${chain.value ? ` — ${chain.value}` : ''}`;
+      details.appendChild(title);
+
+      const selectorList = document.createElement('ul');
+      chain.selectors.forEach(result => {
+        const item = document.createElement('li');
+        item.className = result.matches > 0 ? 'diagnostics__hit' : 'diagnostics__miss';
+        item.textContent = result.error
+          ? `${result.selector} — invalid: ${result.error}`
+          : `${result.selector} — ${result.matches} match${result.matches === 1 ? '' : 'es'}${result.sample ? `: ${result.sample}` : ''}`;
+        selectorList.appendChild(item);
+      });
+      details.appendChild(selectorList);
+
+      container.appendChild(details);
+    });
+  },
+
+  /**
+   * Escape HTML for safe rendering
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  },
+
+  /**
+   * Check if a tab URL is a profile page the contact form applies to (including Sales Navigator leads
+   * and Recruiter profiles)
+   */
+  isProfileUrl(url) {
+    return /linkedin\.com\/(in|sales\/lead)\//.test(url || '') ||
+      /linkedin\.com\/talent\/(?:[^?#]*\/)?profile\//.test(url || '');
+  },
+
+  /**
+   * Show the profile form, the search results list, the company details or the
+   * list harvester, depending on the page
+   */
+  setPageMode(mode) {
+    const isProfile = mode === 'profile';
+    document.getElementById('contactForm').hidden = !isProfile;
+    document.querySelector('.profile-picture-section').hidden = !isProfile;
+    document.getElementById('searchResultsSection').hidden = mode !== 'search';
+    document.getElementById('companySection').hidden = mode !== 'company';
+    document.getElementById('harvestSection').hidden = mode !== 'harvest';
+  },
+
+  /**
+   * Ask the content script for the people listed on a search results page
+   */
+  async loadSearchResults(tabId) {
+    this.setPageMode('search');
+    this.updateStatus('Reading search results...', 'loading');
+
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'getSearchResults' });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from the page');
+      }
+
+      this.showSearchResults(response.data);
+    } catch (error) {
+      // The content script sends the results itself once the page has loaded
+      console.log('Could not read search results yet:', error);
+      this.updateStatus('Waiting for search results...', 'loading');
+    }
+  },
+
+  /**
+   * Replace the listed search results, keeping selection and save state
+   * for people that were already listed (e.g. after a refresh)
+   */
+  showSearchResults(results) {
+    const previous = new Map(this.searchResults.map(result => [result.profileUrl, result]));
+
+    this.searchResults = (results || []).map(result => ({
+      ...result,
+      selected: previous.get(result.profileUrl)?.selected || false,
+      status: previous.get(result.profileUrl)?.status || '',
+      error: previous.get(result.profileUrl)?.error || ''
+    }));
+
+    this.setPageMode('search');
+    this.renderSearchResults();
+    this.updateStatus(`${this.searchResults.length} people found`);
+  },
+
+  /**
+   * Render the search results with a checkbox and save state per person
+   */
+  renderSearchResults() {
+    const list = document.getElementById('searchResultsList');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (this.searchResults.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'profile-list__empty';
+      empty.textContent = 'No people found on this page';
+      list.appendChild(empty);
+    }
+
+    this.searchResults.forEach((result, index) => {
+      const item = document.createElement('li');
+      item.className = 'profile-list__item search-result';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'checkbox-input';
+      checkbox.checked = result.selected;
+      checkbox.dataset.resultIndex = index;
+      checkbox.setAttribute('aria-label', `Select ${result.fullName}`);
+
+      const body = document.createElement('div');
+      body.className = 'search-result__body';
+
+      const title = document.createElement('div');
+      title.className = 'profile-list__title';
+      title.textContent = result.fullName;
+      body.appendChild(title);
+
+      [result.headline, result.location].filter(Boolean).forEach(text => {
+        const meta = document.createElement('div');
+        meta.className = 'profile-list__meta';
+        meta.textContent = text;
+        body.appendChild(meta);
+      });
+
+      item.append(checkbox, body);
+
+      if (result.status) {
+        const status = document.createElement('span');
+        status.className = `search-result__status search-result__status--${result.status === 'updated' ? 'saved' : result.status}`;
+        status.textContent = { saved: '✓ Saved', updated: '✓ Updated', queued: '⏳ Queued', failed: '✗ Failed' }[result.status];
+        if (result.error) status.title = result.error;
+        item.appendChild(status);
+      }
+
+      list.appendChild(item);
+    });
+
+    this.updateSearchSelection();
+  },
+
+  /**
+   * Update the selection count, select-all box and save button
+   */
+  updateSearchSelection() {
+    const selectedCount = this.searchResults.filter(result => result.selected).length;
+    const total = this.searchResults.length;
+
+    document.getElementById('searchResultsCount').textContent = `${selectedCount} of ${total} selected`;
+
+    const selectAll = document.getElementById('selectAllResults');
+    selectAll.checked = total > 0 && selectedCount === total;
+    selectAll.indeterminate = selectedCount > 0 && selectedCount < total;
+
+    const saveButton = document.getElementById('saveSelectedResults');
+    saveButton.disabled = this.isLoading || selectedCount === 0;
+    saveButton.textContent = selectedCount > 0 ? `Save Selected (${selectedCount})` : 'Save Selected';
+  },
+
+  /**
+   * Save every ticked search result to Airtable in one operation
+   */
+  async saveSelectedResults() {
+    if (this.isLoading) return;
+
+    const selected = this.searchResults.filter(result => result.selected);
+    if (selected.length === 0) return;
+
+    const { airtableConfig: config } = await chrome.storage.sync.get(['airtableConfig']);
+    if (!config || !config.apiToken || !config.baseId || !config.tableId) {
+      this.showAlert('Please configure Airtable settings first', 'error');
+      this.toggleConfiguration();
+      return;
+    }
+
+    const tags = document.getElementById('bulkTags').value.trim();
+    const contacts = selected.map(result => ({
+      fullName: result.fullName,
+      headline: result.headline,
+      location: result.location,
+      profileUrl: result.profileUrl,
+      tags: tags
+    }));
+
+    this.isLoading = true;
+    this.updateSearchSelection();
+    this.updateStatus(`Saving ${contacts.length} contacts...`, 'loading');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveManyToAirtable',
+        contacts: contacts,
+        config: config,
+        fieldMappings: this.fieldMappings
+      });
+
+      (response.results || []).forEach(outcome => {
+        const result = this.searchResults.find(entry => entry.profileUrl === outcome.profileUrl);
+        if (!result) return;
+
+        if (outcome.success) {
+          result.status = outcome.isUpdate ? 'updated' : 'saved';
+        } else {
+          result.status = outcome.queued ? 'queued' : 'failed';
+        }
+        result.error = outcome.error || '';
+        // Failed rows stay ticked so they can be retried; queued rows are retried automatically
+        result.selected = !outcome.success && !outcome.queued;
+      });
+
+      if (tags && response.savedCount > 0) {
+        await this.tagStorage.recordTags(tags);
+        await this.refreshTagStatistics();
+      }
+
+      this.showAlert(response.message || response.error, response.success ? 'success' : 'error');
+      this.updateStatus(response.success ? 'Saved successfully' : 'Save failed', response.success ? 'ready' : 'error');
+    } catch (error) {
+      console.error('Bulk save error:', error);
+      this.showAlert('An unexpected error occurred while saving', 'error');
+      this.updateStatus('Save failed', 'error');
+    } finally {
+      this.isLoading = false;
+      this.renderSearchResults();
+    }
+  },
+
+  /**
+   * Ask the content script for the company on a company page
+   */
+  async loadCompany(tabId) {
+    this.setPageMode('company');
+    this.updateStatus('Reading company page...', 'loading');
+
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'extractCompany' });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from the page');
+      }
+
+      this.showCompany(response.data);
+    } catch (error) {
+      // The content script sends the company itself once the page has loaded
+      console.log('Could not read company yet:', error);
+      this.updateStatus('Waiting for company data...', 'loading');
+    }
+  },
+
+  /**
+   * Fill the company fields with extracted data
+   */
+  showCompany(companyData) {
+    this.currentCompanyData = companyData || {};
+
+    document.querySelectorAll('[data-company-field]').forEach(field => {
+      const value = this.currentCompanyData[field.dataset.companyField];
+      field.value = value === null || value === undefined ? '' : value;
+    });
+
+    this.setPageMode('company');
+    this.updateStatus(this.currentCompanyData.name ? 'Company data loaded' : 'Company name not found');
+  },
+
+  /**
+   * Company data as edited in the side panel; the follower count stays a number
+   */
+  collectCompanyData() {
+    const companyData = { ...this.currentCompanyData };
+
+    document.querySelectorAll('[data-company-field]').forEach(field => {
+      if (field.readOnly) return;
+      companyData[field.dataset.companyField] = field.value.trim();
+    });
+
+    return companyData;
+  },
+
+  /**
+   * Save the company to the Companies table
+   */
+  async saveCompany() {
+    if (this.isLoading) return;
+
+    const { airtableConfig: config } = await chrome.storage.sync.get(['airtableConfig']);
+    if (!config || !config.apiToken || !config.baseId || !config.companyTableId) {
+      this.showAlert('Please configure Airtable and a Companies table first', 'error');
+      this.toggleConfiguration();
+      return;
+    }
+
+    const companyData = this.collectCompanyData();
+    if (!companyData.name) {
+      this.showAlert('Company name is required', 'error');
+      return;
+    }
+
+    const saveButton = document.getElementById('saveCompany');
+    this.isLoading = true;
+    saveButton.disabled = true;
+    this.updateStatus('Saving company...', 'loading');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveCompanyToAirtable',
+        data: companyData,
+        config: config,
+        fieldMappings: this.companyFieldMappings
+      });
+
+      if (response.success) {
+        this.showAlert(response.message, 'success');
+        this.updateStatus(response.isUpdate ? 'Updated successfully' : 'Saved successfully');
+      } else if (response.queued) {
+        this.showAlert(`${response.error}\n\nThe company was added to Pending Saves and will be retried automatically.`, 'warning');
+        this.updateStatus('Queued for retry');
+      } else {
+        this.showAlert(`Failed to save company: ${response.error}`, 'error');
+        this.updateStatus('Save failed', 'error');
+      }
+    } catch (error) {
+      console.error('Company save error:', error);
+      this.showAlert('An unexpected error occurred while saving', 'error');
+      this.updateStatus('Save failed', 'error');
+    } finally {
+      this.isLoading = false;
+      saveButton.disabled = false;
+    }
+  },
+
+  /**
+   * Show harvesting controls for a connections or event attendee list, with the
+   * progress of a harvest already running in that tab
+   */
+  async loadHarvestStatus(tabId) {
+    this.setPageMode('harvest');
+    this.harvestTabId = tabId;
+    this.renderHarvestQueue(await this.harvestQueue.getQueue());
+
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'getHarvestStatus' });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from the page');
+      }
+
+      this.renderHarvestProgress(response.data);
+      this.updateStatus(response.data.running ? 'Harvesting...' : 'Ready to harvest', response.data.running ? 'loading' : 'ready');
+    } catch (error) {
+      console.log('Could not read harvest status yet:', error);
+      this.updateStatus('Reload the LinkedIn tab to harvest this list', 'error');
+    }
+  },
+
+  /**
+   * Start harvesting the list in the current tab; progress arrives as harvestProgress messages
+   */
+  async startHarvest() {
+    if (!this.harvestTabId) return;
+
+    const maxProfiles = parseInt(document.getElementById('harvestMax').value, 10) || 500;
+
+    try {
+      const response = await chrome.tabs.sendMessage(this.harvestTabId, {
+        action: 'startHarvest',
+        options: { maxProfiles: Math.min(Math.max(maxProfiles, 1), this.harvestQueue.MAX_PROFILES) }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from the page');
+      }
+
+      this.renderHarvestProgress({ ...response.data, running: true });
+      this.updateStatus('Harvesting...', 'loading');
+    } catch (error) {
+      console.error('Harvest start error:', error);
+      this.showAlert(`Could not start harvesting: ${error.message}`, 'error');
+    }
+  },
+
+  /**
+   * Ask the harvester to stop after its current batch
+   */
+  async stopHarvest() {
+    if (!this.harvestTabId) return;
+
+    try {
+      await chrome.tabs.sendMessage(this.harvestTabId, { action: 'stopHarvest' });
+      document.getElementById('stopHarvest').disabled = true;
+      document.getElementById('harvestProgressText').textContent = 'Stopping after this batch...';
+    } catch (error) {
+      console.error('Harvest stop error:', error);
+    }
+  },
+
+  /**
+   * Update the progress bar and the start/stop buttons
+   */
+  renderHarvestProgress(status) {
+    if (!status) return;
+
+    const limit = parseInt(document.getElementById('harvestMax').value, 10) || 500;
+    const target = status.total ? Math.min(status.total, limit) : limit;
+    const percent = status.running
+      ? Math.min(100, Math.round((status.collected / target) * 100))
+      : (status.collected > 0 ? 100 : 0);
+
+    const bar = document.getElementById('harvestProgressBar');
+    bar.style.width = `${percent}%`;
+    bar.parentElement.setAttribute('aria-valuenow', percent);
+
+    let text;
+    if (status.error) {
+      text = `Stopped by an error: ${status.error}`;
+    } else if (status.running) {
+      text = `${status.collected}${status.total ? ` of ${status.total}` : ''} profiles collected, ${status.queued} new in queue`;
+    } else if (status.collected > 0) {
+      text = `${status.stopped ? 'Stopped' : 'Finished'}: ${status.collected} profiles collected, ${status.queued} new in queue`;
+    } else {
+      text = status.total ? `${status.total} people in this list` : 'Not started';
+    }
+    document.getElementById('harvestProgressText').textContent = text;
+
+    document.getElementById('startHarvest').disabled = status.running;
+    document.getElementById('stopHarvest').disabled = !status.running;
+
+    if (!status.running && status.collected > 0) {
+      this.updateStatus(status.error ? 'Harvest failed' : 'Harvest finished', status.error ? 'error' : 'ready');
+    }
+  },
+
+  /**
+   * Render the queued profiles, each linking to the profile so it can be opened and enriched
+   */
+  renderHarvestQueue(queue) {
+    const list = document.getElementById('harvestQueueList');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (queue.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'profile-list__empty';
+      empty.textContent = 'No profiles queued';
+      list.appendChild(empty);
+    }
+
+    queue.forEach(profile => {
+      const item = document.createElement('li');
+      item.className = 'profile-list__item';
+
+      const link = document.createElement('a');
+      link.className = 'profile-list__title';
+      link.href = profile.profileUrl;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = profile.fullName || profile.profileUrl;
+      item.appendChild(link);
+
+      [profile.headline, profile.source].filter(Boolean).forEach(text => {
+        const meta = document.createElement('div');
+        meta.className = 'profile-list__meta';
+        meta.textContent = text;
+        item.appendChild(meta);
+      });
+
+      list.appendChild(item);
+    });
+
+    document.getElementById('harvestQueueCount').textContent = `${queue.length} profiles queued`;
+
+    const saveButton = document.getElementById('saveHarvestQueue');
+    saveButton.disabled = this.isLoading || queue.length === 0;
+    saveButton.textContent = queue.length > 0 ? `Save Queue (${queue.length})` : 'Save Queue';
+  },
+
+  /**
+   * Save every queued profile to Airtable; saved profiles leave the queue, failed ones stay for a retry
+   */
+  async saveHarvestQueue() {
+    if (this.isLoading) return;
+
+    const queue = await this.harvestQueue.getQueue();
+    if (queue.length === 0) return;
+
+    const { airtableConfig: config } = await chrome.storage.sync.get(['airtableConfig']);
+    if (!config || !config.apiToken || !config.baseId || !config.tableId) {
+      this.showAlert('Please configure Airtable settings first', 'error');
+      this.toggleConfiguration();
+      return;
+    }
+
+    const tags = document.getElementById('queueTags').value.trim();
+    const contacts = queue.map(profile => ({
+      fullName: profile.fullName,
+      headline: profile.headline,
+      profileUrl: profile.profileUrl,
+      tags: tags
+    }));
+
+    this.isLoading = true;
+    document.getElementById('saveHarvestQueue').disabled = true;
+    this.updateStatus(`Saving ${contacts.length} contacts...`, 'loading');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveManyToAirtable',
+        contacts: contacts,
+        config: config,
+        fieldMappings: this.fieldMappings
+      });
+
+      // Queued saves are retried from Pending Saves, so they leave this queue too
+      const savedUrls = (response.results || [])
+        .filter(outcome => outcome.success || outcome.queued)
+        .map(outcome => outcome.profileUrl);
+      await this.harvestQueue.removeProfiles(savedUrls);
+
+      if (tags && response.savedCount > 0) {
+        await this.tagStorage.recordTags(tags);
+        await this.refreshTagStatistics();
+      }
+
+      this.showAlert(response.message || response.error, response.success ? 'success' : 'error');
+      this.updateStatus(response.success ? 'Saved successfully' : 'Save failed', response.success ? 'ready' : 'error');
+    } catch (error) {
+      console.error('Queue save error:', error);
+      this.showAlert('An unexpected error occurred while saving', 'error');
+      this.updateStatus('Save failed', 'error');
+    } finally {
+      this.isLoading = false;
+      this.renderHarvestQueue(await this.harvestQueue.getQueue());
+    }
+  },
+
+  /**
+   * Empty the harvest queue after confirmation
+   */
+  async clearHarvestQueue() {
+    const confirmed = confirm('Remove all queued profiles? They are not saved to Airtable.');
+    if (!confirmed) return;
+
+    await this.harvestQueue.clear();
+    this.renderHarvestQueue([]);
+  },
+
+  /**
+   * List the saves waiting in the save queue; the section is hidden while the queue is empty
+   */
+  renderSaveQueue(queue) {
+    const section = document.getElementById('saveQueueSection');
+    const list = document.getElementById('saveQueueList');
+    if (!section || !list) return;
+
+    section.hidden = queue.length === 0;
+    list.innerHTML = '';
+
+    queue.forEach(item => {
+      const entry = document.createElement('li');
+      entry.className = 'profile-list__item search-result';
+
+      const body = document.createElement('div');
+      body.className = 'search-result__body';
+
+      const title = document.createElement('div');
+      title.className = 'profile-list__title';
+      title.textContent = item.data.fullName || item.data.name || item.data.profileUrl || 'Unnamed';
+      body.appendChild(title);
+
+      const state = document.createElement('div');
+      state.className = 'profile-list__meta';
+      state.textContent = item.status === 'failed'
+        ? `${item.kind === 'company' ? 'Company' : 'Contact'} · gave up after ${item.attempts} attempts`
+        : `${item.kind === 'company' ? 'Company' : 'Contact'} · attempt ${item.attempts + 1} at ${new Date(item.nextAttemptAt).toLocaleTimeString()}`;
+      body.appendChild(state);
+
+      if (item.lastError) {
+        const error = document.createElement('div');
+        error.className = 'profile-list__meta save-queue__error';
+        error.textContent = item.lastError;
+        body.appendChild(error);
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'save-queue__actions';
+      [['retry', 'Retry', 'btn--secondary'], ['discard', 'Discard', 'btn--danger']].forEach(([action, label, style]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${style} btn--small`;
+        button.dataset.queueAction = action;
+        button.dataset.queueId = item.id;
+        button.textContent = label;
+        actions.appendChild(button);
+      });
+
+      entry.append(body, actions);
+      list.appendChild(entry);
+    });
+
+    document.getElementById('saveQueueCount').textContent = `${queue.length} waiting`;
+  },
+
+  /**
+   * Retry queued saves now (all of them when no ids are given)
+   */
+  async retrySaveQueue(ids = null) {
+    this.updateStatus('Retrying pending saves...', 'loading');
+
+    try {
+      await chrome.runtime.sendMessage({ action: 'retrySaveQueue', ids: ids });
+
+      const remaining = await this.saveQueue.getQueue();
+      this.updateStatus(remaining.length === 0 ? 'All pending saves done' : `${remaining.length} saves still pending`);
+    } catch (error) {
+      console.error('Save queue retry error:', error);
+      this.updateStatus('Retry failed', 'error');
+    }
+  },
+
+  /**
+   * Drop a queued save after confirmation
+   */
+  async discardSaveQueueItem(id) {
+    const confirmed = confirm('Discard this pending save? It will not be saved to Airtable.');
+    if (!confirmed) return;
+
+    await chrome.runtime.sendMessage({ action: 'discardSaveQueueItem', id: id });
+  },
+
+  /**
+   * Add a merge rule select under each contact field mapping, except the LinkedIn
+   * URL: records are matched on it, so an update always writes it
+   */
+  setupMergeRuleSelects() {
+    const options = [
+      ['overwrite', 'Overwrite'],
+      ['keepExisting', 'Keep existing (never update)'],
+      ['fillIfEmpty', 'Fill if empty'],
+      ['append', 'Append (with timestamp)'],
+      ['union', 'Union (multi-select)']
+    ];
+
+    Object.keys(this.defaultFieldMappings).forEach(dataKey => {
+      const mappingField = document.getElementById(`mapping-${dataKey}`);
+      if (dataKey === 'profileUrl' || !mappingField || document.getElementById(`mapping-${dataKey}-merge`)) return;
+
+      const select = document.createElement('select');
+      select.id = `mapping-${dataKey}-merge`;
+      select.className = 'field-input mapping-input mapping-merge';
+      select.title = 'When this contact is already in Airtable';
+      options.forEach(([value, label]) => select.add(new Option(label, value)));
+      select.value = this.getDefaultMergeRule(dataKey);
+      select.addEventListener('change', () => this.saveConfiguration());
+
+      mappingField.after(select);
+    });
+  },
+
+  /**
+   * Hide the email merge rule while records are matched on email
+   */
+  updateMergeRuleSelects() {
+    const emailSelect = document.getElementById('mapping-email-merge');
+    if (emailSelect) {
+      emailSelect.hidden = document.getElementById('mergeOn')?.value === 'email';
+    }
+  },
+
+  getDefaultMergeRule(dataKey) {
+    return this.defaultMergeRules[dataKey] || 'overwrite';
+  }
+});
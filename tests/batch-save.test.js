@@ -0,0 +1,135 @@
+/**
+ * Bulk saves go to Airtable 10 records per request, with a result for every record
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBackground, jsonResponse } from './helpers/extension-worker.js';
+
+const config = { apiToken: 'pat123', baseId: 'appBase', tableId: 'tblContacts', companyTableId: 'tblCompanies' };
+const schema = {
+  id: 'tblContacts',
+  fields: [
+    { name: 'Name', type: 'singleLineText' },
+    { name: 'Email', type: 'email' },
+    { name: 'LinkedIn URL', type: 'url' }
+  ]
+};
+
+function contacts(count, extra = {}) {
+  return Array.from({ length: count }, (_, index) => ({
+    fullName: `Person ${index + 1}`,
+    profileUrl: `https://www.linkedin.com/in/person-${index + 1}/`,
+    ...extra
+  }));
+}
+
+/**
+ * Airtable stub: rejects a whole request when any record's name is in rejectNames,
+ * answers 429 to writes while rateLimited is set
+ */
+function airtable({ rejectNames = [], rateLimited = false } = {}) {
+  const writes = [];
+  let nextId = 1;
+
+  return {
+    writes,
+    fetch: (url, options) => {
+      if (url.includes('/meta/bases/')) return jsonResponse({ tables: [schema] });
+
+      const body = JSON.parse(options.body);
+      writes.push(body);
+      if (rateLimited) return jsonResponse({ errors: [{ error: 'RATE_LIMIT_REACHED' }] }, 429, { 'Retry-After': '0' });
+
+      const rejected = body.records.find(record => rejectNames.includes(record.fields.Name));
+      if (rejected) {
+        return jsonResponse({ error: { type: 'INVALID_VALUE_FOR_COLUMN', message: `Bad value for ${rejected.fields.Name}` } }, 422);
+      }
+
+      const records = body.records.map(record => ({ id: `rec${nextId++}`, fields: record.fields }));
+      return jsonResponse({ records, createdRecords: records.map(record => record.id), updatedRecords: [] });
+    }
+  };
+}
+
+test('saves 23 contacts in 3 requests of at most 10', async () => {
+  const api = airtable();
+  const { send } = loadBackground({ fetch: api.fetch });
+
+  const response = await send({ action: 'saveManyToAirtable', contacts: contacts(23), config, fieldMappings: {} });
+
+  assert.deepEqual(api.writes.map(body => body.records.length), [10, 10, 3]);
+  assert.deepEqual(api.writes[0].performUpsert, { fieldsToMergeOn: ['LinkedIn URL'] });
+  assert.equal(response.success, true);
+  assert.equal(response.savedCount, 23);
+  assert.equal(response.results[0].recordId, 'rec1');
+  assert.equal(response.results[1].recordId, 'rec2');
+  assert.equal(response.results[22].profileUrl, 'https://www.linkedin.com/in/person-23/');
+});
+
+test('a rejected batch is saved record by record so only the bad record fails', async () => {
+  const api = airtable({ rejectNames: ['Person 3'] });
+  const { send } = loadBackground({ fetch: api.fetch });
+
+  const response = await send({ action: 'saveManyToAirtable', contacts: contacts(4), config, fieldMappings: {} });
+
+  assert.deepEqual(api.writes.map(body => body.records.length), [4, 1, 1, 1, 1]);
+  assert.equal(response.results.map(result => result.success).join(), 'true,true,false,true');
+  assert.ok(response.results[2].error);
+  assert.equal(response.failedCount, 1);
+  assert.equal(response.queuedCount, 0);
+});
+
+test('contacts matched on different fields go in separate upserts', async () => {
+  const api = airtable();
+  const { service } = loadBackground({ fetch: api.fetch });
+  const [withEmail, withoutEmail] = contacts(2);
+  withEmail.email = 'person1@example.com';
+
+  const results = await service.saveRecordsInBatches([withEmail, withoutEmail], { ...config, mergeOn: 'email' });
+
+  assert.deepEqual(api.writes.map(body => body.performUpsert.fieldsToMergeOn), [['Email'], ['LinkedIn URL']]);
+  assert.equal(results.map(result => result.recordId).join(), 'rec1,rec2');
+});
+
+test('a rate-limited batch is queued as a whole instead of split up', async () => {
+  const api = airtable({ rateLimited: true });
+  const { chrome, send } = loadBackground({ fetch: api.fetch });
+
+  const response = await send({ action: 'saveManyToAirtable', contacts: contacts(3), config, fieldMappings: {} });
+
+  // The scheduler's own retries of the one request, but no per-record requests
+  assert.ok(api.writes.every(body => body.records.length === 3));
+  assert.equal(response.queuedCount, 3);
+  assert.equal(chrome.storage.local.values.saveQueue.length, 3);
+});
+
+test('queue replays are sent in batches', async () => {
+  let fetchStub = () => { throw new TypeError('Failed to fetch'); };
+  const api = airtable();
+  const { chrome, send } = loadBackground({
+    fetch: (url, options) => fetchStub(url, options),
+    storage: { sync: { airtableConfig: config } }
+  });
+  await send({ action: 'saveManyToAirtable', contacts: contacts(12), config, fieldMappings: {} });
+  assert.equal(chrome.storage.local.values.saveQueue.length, 12);
+
+  fetchStub = api.fetch;
+  await send({ action: 'retrySaveQueue' });
+
+  assert.deepEqual(api.writes.map(body => body.records.length), [10, 2]);
+  assert.deepEqual(chrome.storage.local.values.saveQueue, []);
+});
+
+test('records that could not be prepared on a network error are queued', async () => {
+  const api = airtable();
+  const { chrome, service, send } = loadBackground({ fetch: api.fetch });
+  service.prepareRecordFields = async () => { throw new TypeError('Failed to fetch'); };
+
+  const response = await send({ action: 'saveManyToAirtable', contacts: contacts(2), config, fieldMappings: {} });
+
+  assert.equal(api.writes.length, 0);
+  assert.equal(response.queuedCount, 2);
+  assert.equal(response.failedCount, 0);
+  assert.equal(chrome.storage.local.values.saveQueue.length, 2);
+});
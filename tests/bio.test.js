@@ -0,0 +1,90 @@
+/**
+ * Bio: the full About section, expanded past "see more", saved to Bio with
+ * its paragraph breaks
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/extractor-dom.js';
+import { loadBackground, jsonResponse } from './helpers/extension-worker.js';
+
+const page = `<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><h1 class="text-heading-xlarge">Jane Doe</h1></section>
+<section class="artdeco-card"><div id="about" class="pv-profile-card__anchor"></div>
+<div><h2><span aria-hidden="true">About</span></h2></div>
+<div class="display-flex ph5"><div class="inline-show-more-text">
+<span aria-hidden="true">I build data platforms.…see more</span>
+<button class="inline-show-more-text__button" aria-expanded="false">see more</button>
+</div></div></section>
+</main></body></html>`;
+
+test('expands "see more" and keeps paragraph breaks in the About text', async () => {
+  const { window, extractor, close } = loadPage(page, { url: 'https://www.linkedin.com/in/jane-doe/' });
+
+  try {
+    const button = window.document.querySelector('.inline-show-more-text__button');
+    button.addEventListener('click', () => {
+      button.setAttribute('aria-expanded', 'true');
+      window.document.querySelector('.inline-show-more-text span').textContent =
+        'I build data platforms.   \n\n\n  Previously at Globex and Initech.';
+    });
+
+    assert.equal(await extractor.extractBio(), 'I build data platforms.\n\nPreviously at Globex and Initech.');
+  } finally {
+    close();
+  }
+});
+
+test('returns an empty bio when the profile has no About section', async () => {
+  const { extractor, close } = loadPage(page.replace(/<section class="artdeco-card"><div id="about"[\s\S]*?<\/section>/, ''),
+    { url: 'https://www.linkedin.com/in/jane-doe/' });
+
+  try {
+    assert.equal(await extractor.extractBio(), '');
+  } finally {
+    close();
+  }
+});
+
+test('maps the bio to the Bio field by default', () => {
+  const { service } = loadBackground({ fetch: () => jsonResponse({ tables: [] }) });
+  const fields = service.mapContactDataToAirtable({ fullName: 'Jane Doe', bio: 'I build data platforms.' }, {});
+
+  assert.equal(fields.Bio, 'I build data platforms.');
+});
+
+test('saves a multi-paragraph bio with its line breaks', async () => {
+  const schema = {
+    id: 'tblContacts',
+    fields: [
+      { name: 'Name', type: 'singleLineText' },
+      { name: 'Bio', type: 'multilineText' },
+      { name: 'Headline', type: 'singleLineText' },
+      { name: 'LinkedIn URL', type: 'url' }
+    ]
+  };
+  const writes = [];
+  const { service } = loadBackground({
+    fetch: (url, options) => {
+      if (url.includes('/meta/bases/')) return jsonResponse({ tables: [schema] });
+      if (options.method === 'GET') return jsonResponse({ records: [] });
+      const body = JSON.parse(options.body);
+      writes.push(body);
+      return jsonResponse({ records: body.records.map((record, index) => ({ id: `rec${index + 1}`, fields: record.fields })) });
+    }
+  });
+
+  const result = await service.saveToAirtable({
+    fullName: 'Jane Doe',
+    headline: 'Data platforms\nSpeaker',
+    bio: 'I build data platforms.\n\nPreviously at   Globex\nand Initech.',
+    profileUrl: 'https://www.linkedin.com/in/jane-doe/'
+  }, { apiToken: 'pat123', baseId: 'appBase', tableId: 'tblContacts' }, {});
+
+  assert.equal(result.success, true);
+  const fields = writes[0].records[0].fields;
+  assert.equal(fields.Bio, 'I build data platforms.\n\nPreviously at Globex\nand Initech.');
+  // Single line fields still get one line
+  assert.equal(fields.Headline, 'Data platforms Speaker');
+});
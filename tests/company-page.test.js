@@ -0,0 +1,65 @@
+/**
+ * Company pages: company details are extracted for the separate Companies table
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, readFixture } from './helpers/extractor-dom.js';
+
+function withCompanyPage(name, run) {
+  const page = loadPage(readFixture(name));
+  try {
+    return run(page);
+  } finally {
+    page.close();
+  }
+}
+
+const toPlain = value => JSON.parse(JSON.stringify(value));
+
+test('reads the About tab details, top card and description', () => {
+  const company = withCompanyPage('company/acme-about', page => toPlain(page.extractor.companyPage.extractCompany()));
+
+  assert.deepEqual(company, {
+    name: 'Acme Robotics',
+    industry: 'Robotics Engineering',
+    companySize: '201-500 employees',
+    headquarters: 'San Francisco, CA',
+    website: 'https://acme-robotics.example/',
+    followerCount: 12000,
+    description: 'Acme Robotics builds autonomous cleaning robots for warehouses & factories.\n\nWe ship to 30 countries.',
+    profileUrl: 'https://www.linkedin.com/company/acme-robotics/'
+  });
+});
+
+test('falls back to the top card when the About details are missing', () => {
+  const company = withCompanyPage('company/acme-about', page => {
+    page.window.document.querySelector('dl').remove();
+    return toPlain(page.extractor.companyPage.readTopCardItems());
+  });
+
+  assert.deepEqual(company, {
+    followerCount: 12000,
+    industry: 'Technology, Information and Internet',
+    headquarters: 'San Francisco, California',
+    companySize: '201-500 employees'
+  });
+});
+
+test('keeps details found earlier for the same company', () => {
+  const company = withCompanyPage('company/acme-about', page => {
+    page.extractor.companyPage.extractCompany();
+    page.window.document.querySelector('.org-page-details-module__card-spacing').remove();
+    return toPlain(page.extractor.companyPage.extractCompany());
+  });
+
+  assert.equal(company.website, 'https://acme-robotics.example/');
+  assert.match(company.description, /^Acme Robotics builds/);
+});
+
+test('company pages load the company content script', () => {
+  withCompanyPage('company/acme-about', page => {
+    assert.equal(page.window.eval('CompanyPageExtractor.isCompanyPage()'), true);
+    assert.equal(page.extractor.isLinkedInProfilePage(), false);
+  });
+});
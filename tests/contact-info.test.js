@@ -0,0 +1,108 @@
+/**
+ * Contact Info: email, phone, websites, Twitter and birthday from the overlay,
+ * filled into the side panel form
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSidePanel } from './helpers/side-panel-dom.js';
+import { loadPage } from './helpers/extractor-dom.js';
+
+/**
+ * Contact Info overlay with one section per [heading, value HTML]
+ */
+function contactInfoOverlay(lang, sections) {
+  return `<!DOCTYPE html>
+<html lang="${lang}"><head><title>LinkedIn</title></head><body><main></main>
+<div role="dialog" class="artdeco-modal"><div class="pv-contact-info">
+${sections.map(([heading, value]) => `<section class="pv-contact-info__contact-type"><h3>${heading}</h3>${value}</section>`).join('\n')}
+</div></div></body></html>`;
+}
+
+for (const [lang, headings] of Object.entries({
+  en: ['Email', 'Phone', 'Websites', 'Twitter', 'Birthday'],
+  fr: ['E-mail', 'Téléphone', 'Sites web', 'Twitter', 'Anniversaire'],
+  de: ['E-Mail', 'Telefon', 'Websites', 'Twitter', 'Geburtstag'],
+  es: ['Correo electrónico', 'Teléfono', 'Sitios web', 'Twitter', 'Cumpleaños'],
+  pt: ['E-mail', 'Telefone', 'Sites', 'Twitter', 'Aniversário'],
+  nl: ['E-mail', 'Telefoon', 'Websites', 'Twitter', 'Verjaardag']
+})) {
+  test(`reads the Contact Info overlay in ${lang}`, () => {
+    const [email, phone, websites, twitter, birthday] = headings;
+    const page = loadPage(contactInfoOverlay(lang, [
+      [email, '<div><a href="mailto:priya@example.com">priya@example.com</a></div>'],
+      [phone, '<ul><li><span class="t-14">+49 30 1234567 (Mobil)</span></li></ul>'],
+      [websites, '<ul><li><a href="https://priya.design/">priya.design</a></li><li><a href="https://blog.priya.design/">Blog</a></li></ul>'],
+      [twitter, '<ul><li><a href="https://twitter.com/priyashah">priyashah</a></li></ul>'],
+      [birthday, '<div><span class="t-14">3. März</span></div>']
+    ]), { url: 'https://www.linkedin.com/in/priya-shah/overlay/contact-info/' });
+
+    try {
+      const { extractor, window } = page;
+      const contactInfo = extractor.parseContactInfo(window.document.querySelector('.pv-contact-info'));
+
+      assert.equal(contactInfo.email, 'priya@example.com');
+      assert.equal(contactInfo.phone, '+49 30 1234567');
+      assert.equal(contactInfo.websites, 'https://priya.design/, https://blog.priya.design/');
+      assert.equal(contactInfo.twitter, '@priyashah');
+      assert.equal(contactInfo.birthday, '3. März');
+    } finally {
+      page.close();
+    }
+  });
+}
+
+test('a profile without contact info clears the previous profile\'s', async () => {
+  const { document, panel, close } = await loadSidePanel();
+
+  try {
+    panel.populateForm({
+      fullName: 'Priya Shah',
+      profileUrl: 'https://www.linkedin.com/in/priya-shah/',
+      email: 'priya@example.com',
+      phone: '+1 415 555 0100',
+      websites: 'https://priya.design',
+      twitter: '@priyashah',
+      birthday: 'March 3'
+    });
+    assert.equal(document.getElementById('email').value, 'priya@example.com');
+    assert.ok(document.getElementById('email').classList.contains('auto-filled'));
+
+    panel.populateForm({ fullName: 'Sam Lee', profileUrl: 'https://www.linkedin.com/in/sam-lee/' });
+
+    ['email', 'phone', 'websites', 'twitter', 'birthday'].forEach(fieldId => {
+      const field = document.getElementById(fieldId);
+      assert.equal(field.value, '', fieldId);
+      assert.equal(field.classList.contains('auto-filled'), false, fieldId);
+    });
+    assert.equal(document.getElementById('fullName').value, 'Sam Lee');
+  } finally {
+    close();
+  }
+});
+
+for (const readContactInfo of [false, true]) {
+  test(`${readContactInfo ? 'reads' : 'skips'} the Contact Info overlay when the setting is ${readContactInfo ? 'on' : 'off'}`, async () => {
+    const page = loadPage(`<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><h1 class="text-heading-xlarge">Priya Shah</h1></section>
+</main></body></html>`, {
+      url: 'https://www.linkedin.com/in/priya-shah/',
+      storage: { sync: { extractionSettings: { readContactInfo } } }
+    });
+
+    try {
+      let overlayReads = 0;
+      page.extractor.extractContactInfo = async () => {
+        overlayReads++;
+        return { email: 'priya@example.com' };
+      };
+      await page.extractor.extractProfileData();
+
+      assert.equal(overlayReads, readContactInfo ? 1 : 0);
+      assert.equal(page.extractor.profileData.email, readContactInfo ? 'priya@example.com' : undefined);
+    } finally {
+      page.close();
+    }
+  });
+}
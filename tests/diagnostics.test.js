@@ -0,0 +1,80 @@
+/**
+ * Diagnostics mode: every selector chain is run against the open profile and
+ * the side panel lists which selectors matched, fell through and returned what
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/extractor-dom.js';
+import { loadSidePanel } from './helpers/side-panel-dom.js';
+
+const page = `<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><div class="ph5">
+<h1 class="text-heading-xlarge">Jane Doe</h1>
+<div class="text-body-medium break-words">Staff Engineer at Acme</div>
+</div></section>
+<section class="artdeco-card"><div id="about" class="pv-profile-card__anchor"></div>
+<div class="inline-show-more-text"><span aria-hidden="true">I build data platforms.</span></div></section>
+</main></body></html>`;
+
+/**
+ * Extract the page, then run diagnostics with the given learned selectors
+ */
+async function diagnose(customSelectors = {}) {
+  const { extractor, close } = loadPage(page, {
+    url: 'https://www.linkedin.com/in/jane-doe/',
+    storage: { local: { customSelectors } }
+  });
+
+  try {
+    await extractor.extractProfileData();
+    return JSON.parse(JSON.stringify(extractor.runDiagnostics()));
+  } finally {
+    close();
+  }
+}
+
+test('reports matched and fell-through selectors for every chain', async () => {
+  const report = await diagnose({ company: ['.ph5 .no-such-company'] });
+  const chain = key => report.chains.find(entry => entry.key === key);
+
+  assert.equal(report.url, 'https://www.linkedin.com/in/jane-doe/');
+  assert.equal(report.summary.total, report.chains.length);
+  assert.equal(report.summary.matched, report.chains.filter(entry => entry.matchedSelector).length);
+
+  const fullName = chain('fullName');
+  assert.equal(fullName.matchedSelector, 'h1.text-heading-xlarge');
+  assert.equal(fullName.value, 'Jane Doe');
+  const matchedAt = fullName.selectors.findIndex(result => result.selector === fullName.matchedSelector);
+  assert.ok(fullName.selectors.slice(0, matchedAt).every(result => result.matches === 0));
+
+  // Section chains are expanded per profile section, anchor first
+  assert.equal(chain('profileSection:about').matchedSelector, '#about');
+  assert.equal(chain('profileSection:education').matchedSelector, null);
+  assert.equal(report.sections.anchors.join(), 'about');
+
+  assert.equal(chain('learned:company').matchedSelector, null);
+  assert.equal(report.fields.find(field => field.field === 'fullName').value, 'Jane Doe');
+});
+
+test('lists the report in the side panel', async () => {
+  const report = await diagnose();
+  const { document, panel, close } = await loadSidePanel();
+
+  try {
+    panel.renderDiagnostics(report);
+
+    const container = document.getElementById('selectorDiagnostics');
+    assert.equal(
+      container.querySelector('.diagnostics__summary').textContent,
+      `${report.summary.matched}/${report.summary.total} selector chains matched · pack ${report.packVersion} · 0 embedded entities`
+    );
+    assert.ok(Array.from(container.querySelectorAll('.diagnostics__fields li'))
+      .some(item => item.textContent.startsWith('fullName: selectors (') && item.textContent.endsWith('— Jane Doe')));
+    assert.equal(container.querySelectorAll('details.diagnostics__chain').length, report.chains.length);
+    assert.equal(container.querySelectorAll('details.diagnostics__chain--miss').length, report.summary.total - report.summary.matched);
+  } finally {
+    close();
+  }
+});
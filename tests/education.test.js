@@ -0,0 +1,54 @@
+/**
+ * Education: school, degree, field of study and years, listed in the side panel
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPage } from './helpers/extractor-dom.js';
+import { loadSidePanel } from './helpers/side-panel-dom.js';
+
+const page = `<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><h1 class="text-heading-xlarge">Jane Doe</h1></section>
+<section class="artdeco-card"><div id="education" class="pv-profile-card__anchor"></div>
+<div><h2><span aria-hidden="true">Education</span></h2></div>
+<div><ul>
+ <li class="artdeco-list__item pvs-list__paged-list-item">
+   <div class="mr1 t-bold"><span aria-hidden="true">Stanford University</span></div>
+   <span class="t-14 t-normal"><span aria-hidden="true">Master of Science - MS, Computer Science</span></span>
+   <span class="t-14 t-normal t-black--light"><span aria-hidden="true">2014 - 2016</span></span>
+ </li>
+ <li class="artdeco-list__item pvs-list__paged-list-item">
+   <div class="mr1 t-bold"><span aria-hidden="true">Lincoln High School</span></div>
+ </li>
+</ul></div></section>
+</main></body></html>`;
+
+test('extracts each school with degree, field of study and years', async () => {
+  const profileData = await extractPage(page, { url: 'https://www.linkedin.com/in/jane-doe/' });
+
+  assert.deepEqual(JSON.parse(JSON.stringify(profileData.education)), [
+    { school: 'Stanford University', degree: 'Master of Science - MS', fieldOfStudy: 'Computer Science', startYear: '2014', endYear: '2016' },
+    { school: 'Lincoln High School', degree: '', fieldOfStudy: '', startYear: '', endYear: '' }
+  ]);
+});
+
+test('lists education in the side panel and empties it on clear', async () => {
+  const { document, panel, close } = await loadSidePanel();
+
+  try {
+    panel.renderEducation([
+      { school: 'Stanford University', degree: 'Master of Science - MS', fieldOfStudy: 'Computer Science', startYear: '2014', endYear: '2016' }
+    ]);
+
+    const items = document.querySelectorAll('#educationList .profile-list__item');
+    assert.equal(items.length, 1);
+    assert.equal(items[0].querySelector('.profile-list__title').textContent, 'Stanford University');
+    assert.equal(items[0].querySelector('.profile-list__meta').textContent, 'Master of Science - MS, Computer Science · 2014 – 2016');
+
+    panel.renderEducation([]);
+    assert.equal(document.querySelector('#educationList .profile-list__empty').textContent, 'No education found');
+  } finally {
+    close();
+  }
+});
@@ -0,0 +1,107 @@
+/**
+ * Element picker: the user clicks the right element for a wrongly extracted
+ * field, the value fills the side panel and a selector can be learned for it
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/extractor-dom.js';
+import { loadSidePanel } from './helpers/side-panel-dom.js';
+
+const page = `<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><div class="ph5">
+<h1 class="text-heading-xlarge">Jane Doe</h1>
+<div class="inline-company"><span class="company-name">  Acme Robotics </span></div>
+<span class="text-body-small">London, United Kingdom</span>
+</div></section>
+</main></body></html>`;
+
+/**
+ * Load the page with the learn setting, recording the messages the content script sends
+ */
+function loadPickerPage(learnPickedSelectors) {
+  const loaded = loadPage(page, {
+    url: 'https://www.linkedin.com/in/jane-doe/',
+    storage: { sync: { extractionSettings: { learnPickedSelectors } } }
+  });
+  const messages = [];
+  loaded.window.chrome.runtime.sendMessage = async message => { messages.push(message); };
+  return { ...loaded, messages };
+}
+
+/**
+ * Wait for the async click handler to finish
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+test('fills the picked value and learns a selector used on the next extraction', async () => {
+  const { window, extractor, messages, close } = loadPickerPage(true);
+
+  try {
+    extractor.startElementPicker('company');
+    window.document.querySelector('.company-name').click();
+    await settle();
+
+    const picked = messages.find(message => message.action === 'elementPicked');
+    assert.equal(picked.field, 'company');
+    assert.equal(picked.value, 'Acme Robotics');
+    assert.equal(window.document.querySelector(picked.selector), window.document.querySelector('.company-name'));
+    assert.equal(extractor.selectorPack.getCustomSelectors('company')[0], picked.selector);
+    assert.equal(extractor.profileData.fieldSources.company.strategy, 'picked');
+
+    // The picker has stopped: later clicks are the page's own again
+    window.document.querySelector('h1').click();
+    await settle();
+    assert.equal(messages.filter(message => message.action === 'elementPicked').length, 1);
+
+    await extractor.extractProfileData();
+    assert.equal(extractor.profileData.company, 'Acme Robotics');
+    assert.equal(extractor.profileData.fieldSources.company.strategy, 'learned-selector');
+  } finally {
+    close();
+  }
+});
+
+test('only fills the value when selector learning is off, and Escape cancels', async () => {
+  const { window, extractor, messages, close } = loadPickerPage(false);
+
+  try {
+    extractor.startElementPicker('company');
+    window.document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.equal(messages[0].action, 'elementPickCancelled');
+
+    extractor.startElementPicker('company');
+    window.document.querySelector('.company-name').click();
+    await settle();
+
+    const picked = messages.find(message => message.action === 'elementPicked');
+    assert.equal(picked.value, 'Acme Robotics');
+    assert.equal(picked.selector, null);
+    assert.equal(extractor.selectorPack.getCustomSelectorCount(), 0);
+  } finally {
+    close();
+  }
+});
+
+test('puts the picked value in the side panel form', async () => {
+  const { document, panel, close } = await loadSidePanel();
+
+  try {
+    const company = document.getElementById('company');
+    company.value = 'London, United Kingdom';
+    company.classList.add('low-confidence');
+
+    panel.applyPickedValue('company', 'Acme Robotics', '.inline-company > span.company-name');
+
+    assert.equal(company.value, 'Acme Robotics');
+    assert.equal(company.classList.contains('low-confidence'), false);
+    assert.ok(company.classList.contains('auto-filled'));
+    assert.equal(panel.currentProfileData.company, 'Acme Robotics');
+    assert.equal(document.getElementById('alertMessage').textContent, 'Company picked — selector learned for future profiles');
+  } finally {
+    close();
+  }
+});
@@ -0,0 +1,84 @@
+/**
+ * Embedded data strategy: Voyager JSON in <code> blocks and JSON-LD are read
+ * before the DOM selector chains, and each field records which one produced it
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPage } from './helpers/extractor-dom.js';
+
+const url = 'https://www.linkedin.com/in/jane-doe/';
+const profileType = 'com.linkedin.voyager.dash.identity.profile';
+
+/**
+ * Profile page whose top card disagrees with the embedded data, plus extra head/body markup
+ */
+function profilePage({ head = '', body = '' } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title>${head}</head><body><main>
+<section class="artdeco-card pv-top-card"><div class="ph5">
+<h1 class="text-heading-xlarge">Jane D.</h1>
+<div class="text-body-medium break-words">Top card headline</div>
+<span class="text-body-small inline t-black--light break-words">Top card location</span>
+</div></section>
+</main>${body}</body></html>`;
+}
+
+/**
+ * <code> block carrying Voyager entities, as LinkedIn ships them
+ */
+function voyagerCode(included) {
+  return `<code style="display:none">${JSON.stringify({ data: {}, included })}</code>`;
+}
+
+test('prefers embedded Voyager data over the DOM selectors', async () => {
+  const profileData = await extractPage(profilePage({
+    body: voyagerCode([
+      { $type: `${profileType}.Profile`, entityUrn: 'urn:li:fsd_profile:ACoAAOTHER', publicIdentifier: 'sam-lee', firstName: 'Sam', lastName: 'Lee', headline: 'Not this profile' },
+      { $type: `${profileType}.Profile`, entityUrn: 'urn:li:fsd_profile:ACoAAJANE', publicIdentifier: 'jane-doe', firstName: 'Jane', lastName: 'Doe', headline: { text: 'Staff Engineer at Acme' } },
+      { $type: `${profileType}.Position`, entityUrn: 'urn:li:fsd_position:(ACoAAOTHER,1)', title: 'Wrong', companyName: 'Wrong Co', dateRange: { start: { year: 2023 } } },
+      { $type: `${profileType}.Position`, entityUrn: 'urn:li:fsd_position:(ACoAAJANE,1)', title: 'Staff Engineer', companyName: 'Acme', dateRange: { start: { year: 2019, month: 7 } } }
+    ]) + '<code>not json</code>'
+  }), { url });
+
+  assert.equal(profileData.fullName, 'Jane Doe');
+  assert.equal(profileData.headline, 'Staff Engineer at Acme');
+  assert.equal(profileData.jobTitle, 'Staff Engineer');
+  assert.equal(profileData.company, 'Acme');
+  assert.equal(profileData.experience.length, 1);
+  assert.equal(profileData.experience[0].startDate, 'Jul 2019');
+
+  assert.equal(profileData.fieldSources.fullName.strategy, 'embedded-json');
+  assert.equal(profileData.fieldSources.company.strategy, 'embedded-json');
+  // The Voyager payload has no location, so the selector chain still fills it
+  assert.equal(profileData.location, 'Top card location');
+  assert.equal(profileData.fieldSources.location.strategy, 'selectors');
+});
+
+test('reads JSON-LD when the page has no Voyager data', async () => {
+  const profileData = await extractPage(profilePage({
+    head: `<script type="application/ld+json">${JSON.stringify({
+      '@graph': [{
+        '@type': 'Person',
+        name: 'Jane Doe',
+        jobTitle: ['Staff Engineer'],
+        worksFor: [{ '@type': 'Organization', name: 'Acme' }],
+        address: { addressLocality: 'London', addressCountry: 'GB' }
+      }]
+    })}</script>`
+  }), { url });
+
+  assert.equal(profileData.fullName, 'Jane Doe');
+  assert.equal(profileData.company, 'Acme');
+  assert.equal(profileData.location, 'London, GB');
+  assert.equal(profileData.fieldSources.fullName.strategy, 'json-ld');
+  assert.equal(profileData.fieldSources.headline.strategy, 'selectors');
+});
+
+test('falls back to the selector chains without embedded data', async () => {
+  const profileData = await extractPage(profilePage(), { url });
+
+  assert.equal(profileData.fullName, 'Jane D.');
+  assert.equal(profileData.headline, 'Top card headline');
+  assert.equal(profileData.fieldSources.fullName.strategy, 'selectors');
+});
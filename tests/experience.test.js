@@ -0,0 +1,82 @@
+/**
+ * Experience history: every position, grouped multi-role companies included,
+ * flattened into the Airtable field type it is mapped to
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPage } from './helpers/extractor-dom.js';
+import { loadBackground, jsonResponse } from './helpers/extension-worker.js';
+
+const page = `<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><div class="ph5"><h1 class="text-heading-xlarge">Jane Doe</h1>
+<div class="text-body-medium break-words">Building things</div></div></section>
+<section class="artdeco-card"><div id="experience" class="pv-profile-card__anchor"></div>
+<div><h2><span aria-hidden="true">Experience</span></h2></div>
+<div><ul>
+ <li class="artdeco-list__item pvs-list__paged-list-item">
+   <div><div class="mr1 t-bold"><span aria-hidden="true">Globex</span></div>
+   <span class="t-14 t-normal"><span aria-hidden="true">Full-time · 5 yrs</span></span>
+   <div class="pvs-entity__sub-components"><ul class="pvs-list">
+     <li><div class="mr1 t-bold"><span aria-hidden="true">Staff Engineer</span></div>
+       <span class="t-14 t-normal t-black--light"><span aria-hidden="true">Jan 2021 - Present · 3 yrs</span></span>
+       <div class="inline-show-more-text"><span aria-hidden="true">Runs the data platform.</span></div></li>
+     <li><div class="mr1 t-bold"><span aria-hidden="true">Engineer</span></div>
+       <span class="t-14 t-normal t-black--light"><span aria-hidden="true">Jan 2019 - Dec 2020 · 2 yrs</span></span></li>
+   </ul></div></div>
+ </li>
+ <li class="artdeco-list__item pvs-list__paged-list-item">
+   <div><div class="mr1 t-bold"><span aria-hidden="true">Intern</span></div>
+   <span class="t-14 t-normal"><span aria-hidden="true">Initech · Internship</span></span>
+   <span class="t-14 t-normal t-black--light"><span aria-hidden="true">Jun 2018 - Aug 2018 · 3 mos</span></span>
+   <span class="t-14 t-normal t-black--light"><span aria-hidden="true">Austin, Texas, United States</span></span></div>
+ </li>
+</ul></div></section>
+</main></body></html>`;
+
+test('extracts every position, including each role at a grouped company', async () => {
+  const profileData = await extractPage(page, { url: 'https://www.linkedin.com/in/jane-doe/' });
+
+  assert.equal(profileData.experience.length, 3);
+  assert.deepEqual({ ...profileData.experience[0] }, {
+    title: 'Staff Engineer',
+    company: 'Globex',
+    employmentType: 'Full-time',
+    startDate: 'Jan 2021',
+    endDate: 'Present',
+    duration: '3 yrs',
+    location: '',
+    description: 'Runs the data platform.'
+  });
+  assert.equal(profileData.experience[1].title, 'Engineer');
+  assert.equal(profileData.experience[1].company, 'Globex');
+  assert.equal(profileData.experience[2].company, 'Initech');
+  assert.equal(profileData.experience[2].employmentType, 'Internship');
+  assert.equal(profileData.experience[2].location, 'Austin, Texas, United States');
+
+  // The current position still fills the job title and company fields
+  assert.equal(profileData.jobTitle, 'Staff Engineer');
+  assert.equal(profileData.company, 'Globex');
+});
+
+test('flattens experience into the mapped Airtable field type', async () => {
+  const experience = [
+    { title: 'Staff Engineer', company: 'Globex', startDate: 'Jan 2021', endDate: 'Present', description: 'Runs the data platform.' },
+    { title: 'Intern', company: 'Initech', startDate: 'Jun 2018', endDate: 'Aug 2018', description: '' }
+  ];
+  const { service } = loadBackground({ fetch: () => jsonResponse({ tables: [] }) });
+
+  assert.equal(
+    service.formatStructuredEntries(experience, 'multilineText'),
+    'Staff Engineer · Globex · Jan 2021 · Present\nRuns the data platform.\n\nIntern · Initech · Jun 2018 · Aug 2018'
+  );
+  assert.equal(
+    service.formatStructuredEntries(experience, 'singleLineText'),
+    'Staff Engineer · Globex · Jan 2021 · Present; Intern · Initech · Jun 2018 · Aug 2018'
+  );
+  assert.equal(service.formatStructuredEntries(experience, 'multipleSelects').join(), 'Staff Engineer,Intern');
+
+  const fields = service.mapContactDataToAirtable({ fullName: 'Jane Doe', experience: [] }, {});
+  assert.equal('Experience' in fields, false);
+});
@@ -0,0 +1,19 @@
+/**
+ * Extraction regression suite: every tests/fixtures/<name>.html snapshot is
+ * extracted offline and compared against <name>.expected.json
+ */
+
+import { test } from 'node:test';
+import { listFixtures, readExpected, extractFixture, assertMatches } from './helpers/extractor-dom.js';
+
+for (const name of listFixtures()) {
+  test(`extracts ${name}`, async (t) => {
+    const expected = readExpected(name);
+    if (!expected) {
+      t.skip(`add tests/fixtures/${name}.expected.json`);
+      return;
+    }
+
+    assertMatches(await extractFixture(name), expected);
+  });
+}
@@ -0,0 +1,69 @@
+/**
+ * Field sources: every extracted field records the strategy, selector and
+ * confidence that produced it, and the side panel flags low-confidence values
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPage } from './helpers/extractor-dom.js';
+import { loadSidePanel } from './helpers/side-panel-dom.js';
+
+// The company is not in any of the usual subtitle spans, so only the
+// relaxed text heuristics of extractCompanyFallback() find a value
+const page = `<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><div class="ph5"><h1 class="text-heading-xlarge">Jane Doe</h1></div></section>
+<section class="artdeco-card"><div id="experience" class="pv-profile-card__anchor"></div>
+<div><h2><span aria-hidden="true">Experience</span></h2></div>
+<div><ul><li class="artdeco-list__item pvs-list__paged-list-item">
+<div class="mr1 t-bold"><span aria-hidden="true">Staff Engineer</span></div>
+<div><span aria-hidden="true">Acme Robotics</span></div>
+</li></ul></div></section>
+</main></body></html>`;
+
+test('records the source and confidence of each field', async () => {
+  const { fieldSources } = await extractPage(page, { url: 'https://www.linkedin.com/in/jane-doe/' });
+
+  assert.equal(fieldSources.fullName.strategy, 'selectors');
+  assert.equal(fieldSources.fullName.source, 'h1.text-heading-xlarge');
+  assert.ok(fieldSources.fullName.confidence >= 0.8);
+
+  assert.deepEqual({ ...fieldSources.company }, {
+    strategy: 'selectors',
+    source: 'extractCompanyFallback() text heuristics',
+    confidence: 0.4
+  });
+
+  // Fields that were not found carry no source
+  assert.deepEqual({ ...fieldSources.headline }, { strategy: 'none', source: '', confidence: 0 });
+});
+
+test('flags low-confidence fields for review until they are edited', async () => {
+  const { window, document, panel, close } = await loadSidePanel();
+
+  try {
+    panel.populateForm({
+      fullName: 'Jane Doe',
+      company: 'Staff Engineer',
+      profileUrl: 'https://www.linkedin.com/in/jane-doe/',
+      fieldSources: {
+        fullName: { strategy: 'embedded-json', source: 'Voyager JSON in <code> blocks', confidence: 0.95 },
+        company: { strategy: 'selectors', source: 'extractCompanyFallback() text heuristics', confidence: 0.4 },
+        headline: { strategy: 'none', source: '', confidence: 0 }
+      }
+    });
+
+    const fullName = document.getElementById('fullName');
+    const company = document.getElementById('company');
+    assert.equal(fullName.classList.contains('low-confidence'), false);
+    assert.equal(fullName.title, 'Found via embedded-json: Voyager JSON in <code> blocks (95% confidence)');
+    assert.ok(company.classList.contains('low-confidence'));
+    assert.equal(document.getElementById('alertMessage').textContent, 'Profile extracted — please review: Company');
+
+    company.value = 'Acme Robotics';
+    company.dispatchEvent(new window.Event('input', { bubbles: true }));
+    assert.equal(company.classList.contains('low-confidence'), false);
+  } finally {
+    close();
+  }
+});
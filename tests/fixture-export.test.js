@@ -0,0 +1,40 @@
+/**
+ * The diagnostics view's "Export Fixture" snapshot must be safe to share
+ * and still extract like the page it was taken from
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, readFixture, readExpected, extractPage, getFixtureUrl, assertMatches } from './helpers/extractor-dom.js';
+
+function exportFixture(name) {
+  const page = loadPage(readFixture(name));
+  try {
+    return page.extractor.exportFixture();
+  } finally {
+    page.close();
+  }
+}
+
+test('exported fixture is named after the profile and records its URL', () => {
+  const { fileName, html } = exportFixture('embedded-json');
+
+  assert.equal(fileName, 'jane-doe.html');
+  assert.equal(getFixtureUrl(html), 'https://www.linkedin.com/in/jane-doe/');
+});
+
+test('exported fixture drops scripts, inline styles and other members\' embedded data', () => {
+  const { html } = exportFixture('embedded-json');
+
+  assert.doesNotMatch(html, /<script(?![^>]*ld\+json)/);
+  assert.doesNotMatch(html, /style="/);
+  assert.doesNotMatch(html, /ACoAAOTHER|someone-else/);
+  assert.doesNotMatch(html, /not json/);
+  assert.match(html, /ACoAAJANE/);
+});
+
+test('exported fixture extracts the same profile as the original page', async () => {
+  const { html } = exportFixture('embedded-json');
+
+  assertMatches(await extractPage(html), readExpected('embedded-json'));
+});
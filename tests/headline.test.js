@@ -0,0 +1,43 @@
+/**
+ * Headline: the line under the name, kept separate from the current job title
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPage } from './helpers/extractor-dom.js';
+import { loadBackground, jsonResponse } from './helpers/extension-worker.js';
+
+const page = `<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><div class="ph5">
+<h1 class="text-heading-xlarge">Jane Doe</h1>
+<div class="text-body-medium break-words">Helping teams ship reliable data | Speaker | Mentor</div>
+</div></section>
+<section class="artdeco-card"><div id="experience" class="pv-profile-card__anchor"></div>
+<div><h2><span aria-hidden="true">Experience</span></h2></div>
+<div><ul><li class="artdeco-list__item pvs-list__paged-list-item">
+  <div class="mr1 t-bold"><span aria-hidden="true">Staff Engineer</span></div>
+  <span class="t-14 t-normal"><span aria-hidden="true">Globex · Full-time</span></span>
+  <span class="t-14 t-normal t-black--light"><span aria-hidden="true">Jan 2021 - Present · 3 yrs</span></span>
+</li></ul></div></section>
+</main></body></html>`;
+
+test('extracts the headline separately from the job title', async () => {
+  const profileData = await extractPage(page, { url: 'https://www.linkedin.com/in/jane-doe/' });
+
+  assert.equal(profileData.headline, 'Helping teams ship reliable data | Speaker | Mentor');
+  assert.equal(profileData.jobTitle, 'Staff Engineer');
+  assert.equal(profileData.company, 'Globex');
+});
+
+test('maps the headline to the Headline field by default', () => {
+  const { service } = loadBackground({ fetch: () => jsonResponse({ tables: [] }) });
+  const fields = service.mapContactDataToAirtable({
+    fullName: 'Jane Doe',
+    headline: 'Helping teams ship reliable data',
+    jobTitle: 'Staff Engineer'
+  }, {});
+
+  assert.equal(fields.Headline, 'Helping teams ship reliable data');
+  assert.equal(fields['Job Title'], 'Staff Engineer');
+});
@@ -0,0 +1,91 @@
+/**
+ * Runs the background service worker (and the scripts it imports) in a vm
+ * context with an in-memory chrome.* stub and a caller-provided fetch
+ */
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+/**
+ * chrome.* surface the service worker touches; storage keeps what is set
+ */
+function createChromeStub(storage = {}) {
+  const area = initial => {
+    const values = { ...initial };
+    return {
+      values,
+      get: async keys => Object.fromEntries((keys || Object.keys(values))
+        .filter(key => key in values)
+        .map(key => [key, structuredClone(values[key])])),
+      set: async items => { Object.assign(values, structuredClone(items)); },
+      remove: async keys => { [].concat(keys).forEach(key => delete values[key]); }
+    };
+  };
+  const event = () => ({ addListener() {} });
+  const alarms = {};
+
+  return {
+    runtime: { onMessage: event(), onStartup: event(), onInstalled: event() },
+    action: { onClicked: event() },
+    alarms: {
+      scheduled: alarms,
+      onAlarm: event(),
+      create: async (name, info) => { alarms[name] = info; },
+      clear: async name => delete alarms[name]
+    },
+    storage: {
+      local: area(storage.local),
+      sync: area(storage.sync),
+      onChanged: event()
+    }
+  };
+}
+
+/**
+ * Minimal fetch Response for stubbed Airtable replies
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: String(status),
+    headers: new Headers(headers),
+    json: async () => body
+  };
+}
+
+/**
+ * Load background.js with fetch handled by fetchStub(url, options).
+ * Set DEBUG_EXTRACTION=1 to see the service worker's console output.
+ */
+export function loadBackground({ fetch: fetchStub, storage } = {}) {
+  const chrome = createChromeStub(storage);
+  const quiet = Object.fromEntries(['log', 'warn', 'error', 'info', 'group', 'groupEnd'].map(name => [name, () => {}]));
+  const context = vm.createContext({
+    chrome,
+    fetch: async (url, options = {}) => fetchStub(url, options),
+    console: process.env.DEBUG_EXTRACTION ? console : quiet,
+    setTimeout,
+    clearTimeout,
+    Headers,
+    Response,
+    structuredClone
+  });
+
+  const run = file => vm.runInContext(readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file });
+  context.importScripts = (...files) => files.forEach(run);
+  run('background.js');
+
+  return {
+    chrome,
+    service: vm.runInContext('backgroundService', context),
+    // Sends a runtime message the way the side panel does and resolves with the response
+    send: request => new Promise(resolve => {
+      vm.runInContext('backgroundService', context).handleMessage(request, {}, resolve);
+    })
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Loads saved LinkedIn pages into jsdom together with the extension's
+ * content scripts, so LinkedInProfileExtractor runs against them offline
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import assert from 'node:assert/strict';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+export const FIXTURES_DIR = path.join(ROOT_DIR, 'tests', 'fixtures');
+
+const DEFAULT_FIXTURE_URL = 'https://www.linkedin.com/in/fixture-profile/';
+
+/**
+ * Names of every tests/fixtures/<name>.html snapshot
+ */
+export function listFixtures() {
+  return readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => file.replace(/\.html$/, ''))
+    .sort();
+}
+
+export function readFixture(name) {
+  return readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+}
+
+/**
+ * Expected (partial) profile data for a fixture, or null when none was written yet
+ */
+export function readExpected(name) {
+  const file = path.join(FIXTURES_DIR, `${name}.expected.json`);
+  return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * URL the fixture was captured from (exported fixtures carry it in <meta name="fixture-url">)
+ */
+export function getFixtureUrl(html) {
+  const match = html.match(/<meta[^>]+name="fixture-url"[^>]+content="([^"]+)"/);
+  return match ? match[1] : DEFAULT_FIXTURE_URL;
+}
+
+/**
+ * Content scripts the manifest injects on a URL, in injection order
+ */
+export function getContentScripts(url) {
+  const manifest = JSON.parse(readFileSync(path.join(ROOT_DIR, 'manifest.json'), 'utf8'));
+  const toRegExp = pattern => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+  return manifest.content_scripts
+    .filter(entry => entry.matches.some(pattern => toRegExp(pattern).test(url)))
+    .flatMap(entry => entry.js);
+}
+
+/**
+ * Minimal chrome.* surface the content scripts touch
+ */
+function createChromeStub(storage = {}) {
+  const area = values => ({
+    get: async () => ({ ...values }),
+    set: async () => {},
+    remove: async () => {}
+  });
+
+  return {
+    runtime: {
+      onMessage: { addListener() {} },
+      sendMessage: () => Promise.resolve()
+    },
+    storage: {
+      local: area(storage.local || {}),
+      sync: area(storage.sync || {}),
+      onChanged: { addListener() {} }
+    }
+  };
+}
+
+/**
+ * Create a jsdom window for the page HTML with the content scripts loaded.
+ * Call close() when done so pending extraction timers are dropped.
+ * Set DEBUG_EXTRACTION=1 to see the content scripts' console output.
+ */
+export function loadPage(html, { url = getFixtureUrl(html), storage } = {}) {
+  let closed = false;
+  const virtualConsole = new VirtualConsole();
+  if (process.env.DEBUG_EXTRACTION) {
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+  }
+  // Closing the window fires content.js's navigation observer one last time
+  virtualConsole.on('jsdomError', error => {
+    if (!closed) console.error(error);
+  });
+
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole });
+  const { window } = dom;
+  window.chrome = createChromeStub(storage);
+  // jsdom has no CSS.escape; buildSelector() only escapes plain ids and class names
+  window.CSS = window.CSS || { escape: value => String(value).replace(/[^\w-]/g, '\\$&') };
+
+  const context = dom.getInternalVMContext();
+  getContentScripts(url).forEach(script => {
+    vm.runInContext(readFileSync(path.join(ROOT_DIR, script), 'utf8'), context, { filename: script });
+  });
+
+  return {
+    window,
+    extractor: vm.runInContext('extractor', context),
+    close() {
+      closed = true;
+      window.close();
+    }
+  };
+}
+
+/**
+ * Run a full extraction on a fixture and return the profile data
+ */
+export function extractFixture(name, options) {
+  return extractPage(readFixture(name), options);
+}
+
+/**
+ * Run a full extraction on page HTML and return the profile data
+ */
+export async function extractPage(html, options) {
+  const page = loadPage(html, options);
+
+  try {
+    await page.extractor.extractProfileData();
+    return page.extractor.profileData;
+  } finally {
+    page.close();
+  }
+}
+
+/**
+ * Assert that every key in `expected` matches `actual`. Objects are compared
+ * on the listed keys only; arrays must have the same length.
+ */
+export function assertMatches(actual, expected, at = 'profileData') {
+  if (Array.isArray(expected)) {
+    assert.ok(Array.isArray(actual), `${at} should be an array`);
+    assert.equal(actual.length, expected.length, `${at} length`);
+    expected.forEach((item, index) => assertMatches(actual[index], item, `${at}[${index}]`));
+  } else if (expected && typeof expected === 'object') {
+    assert.ok(actual && typeof actual === 'object', `${at} should be an object`);
+    Object.keys(expected).forEach(key => assertMatches(actual[key], expected[key], `${at}.${key}`));
+  } else {
+    assert.deepEqual(actual, expected, at);
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Loads sidepanel.html into jsdom with its scripts and an in-memory chrome.*
+ * stub, so SidePanelManager runs offline
+ */
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+/**
+ * chrome.* surface the side panel touches. Runtime messages are answered by
+ * onMessage(request), and every message sent is kept in `sent`.
+ */
+function createChromeStub({ storage = {}, onMessage = () => ({}) } = {}) {
+  const area = initial => {
+    const values = { ...initial };
+    return {
+      values,
+      get: async keys => Object.fromEntries((keys || Object.keys(values))
+        .filter(key => key in values)
+        .map(key => [key, structuredClone(values[key])])),
+      set: async items => { Object.assign(values, structuredClone(items)); },
+      remove: async keys => { [].concat(keys).forEach(key => delete values[key]); }
+    };
+  };
+  const event = () => ({ addListener() {} });
+  const sent = [];
+
+  return {
+    sent,
+    runtime: {
+      onMessage: event(),
+      sendMessage: async request => {
+        sent.push(request);
+        return onMessage(request);
+      }
+    },
+    tabs: {
+      onActivated: event(),
+      onUpdated: event(),
+      query: async () => [],
+      sendMessage: async () => ({})
+    },
+    storage: {
+      local: area(storage.local),
+      sync: area(storage.sync),
+      onChanged: event()
+    }
+  };
+}
+
+/**
+ * Create the side panel and wait for it to load its configuration.
+ * Call close() when done. Set DEBUG_EXTRACTION=1 to see its console output.
+ */
+export async function loadSidePanel(options = {}) {
+  const virtualConsole = new VirtualConsole();
+  if (process.env.DEBUG_EXTRACTION) {
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+  }
+
+  const html = readFileSync(path.join(ROOT_DIR, 'sidepanel.html'), 'utf8');
+  const dom = new JSDOM(html, { url: 'chrome-extension://extension-id/sidepanel.html', runScripts: 'outside-only', virtualConsole });
+  const { window } = dom;
+  window.chrome = createChromeStub(options);
+  window.confirm = () => true;
+
+  const context = dom.getInternalVMContext();
+  Array.from(window.document.querySelectorAll('script[src]')).forEach(script => {
+    const file = script.getAttribute('src');
+    vm.runInContext(readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file });
+  });
+
+  const panel = vm.runInContext('new SidePanelManager()', context);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  return {
+    window,
+    document: window.document,
+    chrome: window.chrome,
+    panel,
+    close() {
+      window.close();
+    }
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * List harvesting: people on connection and event attendee lists go to the harvest queue
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, readFixture } from './helpers/extractor-dom.js';
+
+test('reads the people on a connections page', () => {
+  const page = loadPage(readFixture('harvest/connections'));
+  try {
+    const harvester = page.window.eval('extractor.listHarvester');
+
+    assert.deepEqual(JSON.parse(JSON.stringify(harvester.readVisibleProfiles())), [
+      { fullName: 'Priya Raman', headline: 'Product Designer at Umbrella', profileUrl: 'https://www.linkedin.com/in/priya-raman/' },
+      { fullName: 'Daniel Okafor', headline: 'Data Engineer | dbt, Snowflake', profileUrl: 'https://www.linkedin.com/in/daniel-okafor-7a1b2c/' },
+      { fullName: 'Sofia Lindqvist', headline: 'Head of Growth at Stark Industries', profileUrl: 'https://www.linkedin.com/in/sofia-lindqvist/' }
+    ]);
+    assert.equal(harvester.readTotal(), 1204);
+  } finally {
+    page.close();
+  }
+});
+
+test('harvests until the list stops growing or the limit is reached', async () => {
+  const page = loadPage(readFixture('harvest/connections'));
+  try {
+    const harvester = page.window.eval('extractor.listHarvester');
+    const queued = [];
+    harvester.queue.addProfiles = async (profiles, source) => {
+      queued.push(...profiles.map(profile => ({ profileUrl: profile.profileUrl, source })));
+      return profiles.length;
+    };
+
+    await harvester.harvest({ maxProfiles: 2, batchPauseMs: 0 });
+    assert.deepEqual(queued.map(profile => profile.profileUrl), [
+      'https://www.linkedin.com/in/priya-raman/',
+      'https://www.linkedin.com/in/daniel-okafor-7a1b2c/'
+    ]);
+    assert.equal(queued[0].source, 'Connections');
+
+    queued.length = 0;
+    await harvester.harvest({ batchPauseMs: 0 });
+    assert.equal(queued.length, 3);
+
+    const status = harvester.getStatus();
+    assert.equal(status.running, false);
+    assert.equal(status.collected, 3);
+    assert.equal(status.queued, 3);
+    assert.equal(status.total, 1204);
+  } finally {
+    page.close();
+  }
+});
+
+test('recognizes connection and event attendee lists', () => {
+  const page = loadPage(readFixture('harvest/connections'));
+  try {
+    const listType = url => page.window.eval(`ListHarvester.getListType(${JSON.stringify(url)})`);
+
+    assert.equal(listType('https://www.linkedin.com/mynetwork/invite-connect/connections/'), 'connections');
+    assert.equal(listType('https://www.linkedin.com/events/7181234567890123456/comments/'), 'eventAttendees');
+    assert.equal(listType('https://www.linkedin.com/in/priya-raman/'), null);
+  } finally {
+    page.close();
+  }
+});
@@ -0,0 +1,64 @@
+/**
+ * Locale-aware validators: employment types, connection degrees, connection
+ * counts, locations and UI labels are recognized in the page's UI language
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/extractor-dom.js';
+
+/**
+ * Run fn with the extractor of an empty profile page in the given UI language
+ */
+function withExtractor(lang, fn) {
+  const page = loadPage(`<!DOCTYPE html><html lang="${lang}"><head><title>LinkedIn</title></head><body><main></main></body></html>`,
+    { url: 'https://www.linkedin.com/in/jane-doe/' });
+
+  try {
+    return fn(page.extractor);
+  } finally {
+    page.close();
+  }
+}
+
+const locales = {
+  fr: { employmentType: 'Temps plein', degree: 'Relation de 2e niveau', connections: '500+ relations', location: 'Région de Paris', uiLabel: 'Se connecter' },
+  de: { employmentType: 'Vollzeit', degree: 'Kontakt 2. Grades', connections: '500+ Kontakte', location: 'Metropolregion München', uiLabel: 'Vernetzen' },
+  es: { employmentType: 'Jornada completa', degree: 'Contacto de 2º grado', connections: '500+ contactos', location: 'Área de Madrid', uiLabel: 'Conectar' },
+  pt: { employmentType: 'Tempo integral', degree: 'Conexão de 2º grau', connections: '500+ conexões', location: 'Região de São Paulo', uiLabel: 'Mensagem' },
+  nl: { employmentType: 'Fulltime', degree: '2e graads connectie', connections: '500+ connecties', location: 'Regio Amsterdam', uiLabel: 'Volgen' }
+};
+
+for (const [lang, text] of Object.entries(locales)) {
+  test(`validators recognize ${lang} UI text`, () => {
+    withExtractor(`${lang}-${lang.toUpperCase()}`, extractor => {
+      assert.equal(extractor.keywords.locale, lang);
+
+      assert.equal(extractor.isValidCompanyName(text.employmentType), false, text.employmentType);
+      assert.equal(extractor.isValidCompanyNameRelaxed(text.employmentType), false, text.employmentType);
+      assert.equal(extractor.isConnectionDegreeText(text.degree), true, text.degree);
+      assert.equal(extractor.isConnectionDegreeText(text.connections), true, text.connections);
+      assert.equal(extractor.isLikelyLocation(text.location), true, text.location);
+      assert.equal(extractor.isValidCompanyName(text.uiLabel), false, text.uiLabel);
+
+      // Real company names and titles still pass, and English keywords keep working
+      assert.equal(extractor.isValidCompanyName('Globex'), true);
+      assert.equal(extractor.isValidJobTitle('Ingénieur logiciel'), true);
+      assert.equal(extractor.isValidCompanyName('Full-time'), false);
+    });
+  });
+}
+
+test('an English page does not know other languages\' keywords', () => {
+  withExtractor('en', extractor => {
+    assert.equal(extractor.isValidCompanyName('Vollzeit'), true);
+    assert.equal(extractor.isConnectionDegreeText('Kontakt 2. Grades'), false);
+  });
+});
+
+test('falls back to English for unsupported languages', () => {
+  withExtractor('ja', extractor => {
+    assert.equal(extractor.keywords.locale, 'en');
+    assert.equal(extractor.isConnectionDegreeText('2nd degree connection'), true);
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Saving into an existing record applies each field's merge rule instead of
+ * overwriting everything: notes append and tags union unless configured otherwise
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBackground, jsonResponse } from './helpers/extension-worker.js';
+import { loadSidePanel } from './helpers/side-panel-dom.js';
+
+const config = { apiToken: 'pat123', baseId: 'appBase', tableId: 'tblContacts', companyTableId: 'tblCompanies' };
+const schema = {
+  id: 'tblContacts',
+  fields: [
+    { name: 'Name', type: 'singleLineText' },
+    { name: 'Company', type: 'singleLineText' },
+    { name: 'Email', type: 'email' },
+    { name: 'Location', type: 'singleLineText' },
+    { name: 'Notes', type: 'multilineText' },
+    { name: 'Tag', type: 'multipleSelects', options: { choices: [{ name: 'lead' }, { name: 'vip' }, { name: 'event' }] } },
+    { name: 'LinkedIn URL', type: 'url' }
+  ]
+};
+const profileUrl = 'https://www.linkedin.com/in/priya-raman/';
+const existingRecord = {
+  id: 'recOld1',
+  fields: {
+    Name: 'Priya Raman',
+    Company: 'Old Co',
+    Email: 'priya@old.example.com',
+    Notes: 'Met at the conference',
+    Tag: ['lead', 'vip'],
+    'LinkedIn URL': profileUrl
+  }
+};
+
+/**
+ * Airtable stub that answers record searches with existingRecords and records writes.
+ * searchFailure makes searches fail: an HTTP status, or 'network' to reject like fetch() offline.
+ */
+function airtable(existingRecords = [existingRecord], { searchFailure = null } = {}) {
+  const searches = [];
+  const writes = [];
+
+  return {
+    searches,
+    writes,
+    fetch: (url, options) => {
+      if (url.includes('/meta/bases/')) return jsonResponse({ tables: [schema] });
+
+      if (options.method === 'GET') {
+        const formula = decodeURIComponent(url.split('filterByFormula=')[1]);
+        searches.push(formula);
+        if (searchFailure === 'network') throw new TypeError('Failed to fetch');
+        if (searchFailure) return jsonResponse({ error: { type: 'SERVER_ERROR', message: 'Lookup failed' } }, searchFailure, { 'Retry-After': '0' });
+        const matches = record => Object.values(record.fields).some(value => formula.includes(`'${value}'`));
+        return jsonResponse({ records: existingRecords.filter(matches) });
+      }
+
+      const body = JSON.parse(options.body);
+      writes.push(body);
+      const records = body.records.map((record, index) => ({ id: `rec${index + 1}`, fields: record.fields }));
+      return jsonResponse({ records, createdRecords: [], updatedRecords: records.map(record => record.id) });
+    }
+  };
+}
+
+test('appends notes with a timestamp and unions tags by default', async () => {
+  const api = airtable();
+  const { service } = loadBackground({ fetch: api.fetch });
+
+  const result = await service.saveToAirtable({
+    fullName: 'Priya Raman',
+    company: 'New Co',
+    notes: 'Followed up by email',
+    tags: 'vip, event',
+    profileUrl
+  }, config, {});
+
+  assert.equal(result.success, true);
+  assert.equal(api.searches.length, 1);
+  assert.equal(api.searches[0], `{LinkedIn URL} = '${profileUrl}'`);
+
+  const fields = api.writes[0].records[0].fields;
+  assert.match(fields.Notes, /^Met at the conference\n\n\[\d{4}-\d{2}-\d{2} \d{2}:\d{2}\] Followed up by email$/);
+  assert.equal(fields.Tag.join(), 'lead,vip,event');
+  assert.equal(fields.Company, 'New Co');
+});
+
+test('applies configured rules by field', async () => {
+  const api = airtable();
+  const { service } = loadBackground({
+    fetch: api.fetch,
+    storage: { sync: { fieldMergeRules: { company: 'keepExisting', location: 'fillIfEmpty', fullName: 'fillIfEmpty', notes: 'overwrite' } } }
+  });
+
+  await service.saveToAirtable({
+    fullName: 'Priya R.',
+    company: 'New Co',
+    location: 'Berlin',
+    notes: 'Replaced notes',
+    profileUrl
+  }, config, {});
+
+  const fields = api.writes[0].records[0].fields;
+  assert.equal('Company' in fields, false);
+  assert.equal('Name' in fields, false);
+  assert.equal(fields.Location, 'Berlin');
+  assert.equal(fields.Notes, 'Replaced notes');
+});
+
+test('does not append notes the record already has', async () => {
+  const api = airtable();
+  const { service } = loadBackground({ fetch: api.fetch });
+
+  await service.saveToAirtable({ fullName: 'Priya Raman', notes: 'Met at the conference', profileUrl }, config, {});
+
+  assert.equal('Notes' in api.writes[0].records[0].fields, false);
+});
+
+test('writes new records as they are', async () => {
+  const api = airtable([]);
+  const { service } = loadBackground({ fetch: api.fetch });
+
+  await service.saveToAirtable({ fullName: 'Priya Raman', notes: 'First note', tags: 'lead', profileUrl }, config, {});
+
+  const fields = api.writes[0].records[0].fields;
+  assert.equal(fields.Notes, 'First note');
+  assert.equal(fields.Tag.join(), 'lead');
+});
+
+test('looks up a whole batch in one request', async () => {
+  const api = airtable();
+  const { service } = loadBackground({ fetch: api.fetch });
+
+  const results = await service.saveRecordsInBatches([
+    { fullName: 'Priya Raman', notes: 'Second meeting', profileUrl },
+    { fullName: 'Sam Lee', notes: 'New contact', profileUrl: 'https://www.linkedin.com/in/sam-lee/' }
+  ], config, {});
+
+  assert.equal(results.every(result => result.success), true);
+  assert.equal(api.searches.length, 1);
+  assert.match(api.searches[0], /^OR\(/);
+
+  const [priya, sam] = api.writes[0].records.map(record => record.fields);
+  assert.match(priya.Notes, /^Met at the conference\n\n\[.+\] Second meeting$/);
+  assert.equal(sam.Notes, 'New contact');
+});
+
+test('skips the lookup when no field has a merge rule', async () => {
+  const api = airtable();
+  const { service } = loadBackground({ fetch: api.fetch });
+
+  await service.saveToAirtable({ fullName: 'Priya Raman', company: 'New Co', profileUrl }, config, {});
+
+  assert.equal(api.searches.length, 0);
+  assert.equal(api.writes[0].records[0].fields.Company, 'New Co');
+});
+
+test('company saves overwrite', async () => {
+  const api = airtable();
+  const { service } = loadBackground({ fetch: api.fetch });
+
+  await service.saveToAirtable(
+    { name: 'Acme', description: 'Updated description', profileUrl: 'https://www.linkedin.com/company/acme/' },
+    { ...config, tableId: config.companyTableId },
+    {},
+    service.defaultCompanyFieldMappings
+  );
+
+  assert.equal(api.searches.length, 0);
+  assert.equal(api.writes.length, 1);
+});
+
+test('fails the save without writing when the lookup fails', async () => {
+  for (const [searchFailure, retryable] of [['network', true], [503, true], [429, true], [403, false]]) {
+    const api = airtable([existingRecord], { searchFailure });
+    const { service } = loadBackground({ fetch: api.fetch });
+
+    const result = await service.saveToAirtable({ fullName: 'Priya Raman', notes: 'Followed up', profileUrl }, config, {});
+
+    assert.equal(result.success, false, `lookup failure ${searchFailure}`);
+    assert.equal(result.retryable, retryable, `lookup failure ${searchFailure}`);
+    assert.ok(result.error);
+    assert.equal(api.writes.length, 0);
+  }
+});
+
+test('queues a batch whose lookup failed instead of writing it', async () => {
+  const api = airtable([existingRecord], { searchFailure: 'network' });
+  const { chrome, send } = loadBackground({
+    fetch: api.fetch,
+    storage: { sync: { airtableConfig: config } }
+  });
+
+  const response = await send({
+    action: 'saveManyToAirtable',
+    contacts: [
+      { fullName: 'Priya Raman', notes: 'Second meeting', profileUrl },
+      { fullName: 'Sam Lee', notes: 'New contact', profileUrl: 'https://www.linkedin.com/in/sam-lee/' }
+    ],
+    config: config,
+    fieldMappings: {}
+  });
+
+  assert.equal(api.writes.length, 0);
+  assert.equal(response.queuedCount, 2);
+  assert.equal(chrome.storage.local.values.saveQueue.length, 2);
+});
+
+test('always writes the fields records are matched on', async () => {
+  const api = airtable();
+  const { service } = loadBackground({
+    fetch: api.fetch,
+    storage: { sync: { fieldMergeRules: { profileUrl: 'keepExisting', email: 'fillIfEmpty', company: 'keepExisting' } } }
+  });
+
+  const result = await service.saveToAirtable(
+    { fullName: 'Priya Raman', company: 'New Co', email: 'priya@old.example.com', profileUrl },
+    { ...config, mergeOn: 'email' },
+    {}
+  );
+
+  assert.equal(result.success, true);
+  assert.equal(api.searches[0], "{Email} = 'priya@old.example.com'");
+  assert.deepEqual(api.writes[0].performUpsert, { fieldsToMergeOn: ['Email'] });
+
+  const fields = api.writes[0].records[0].fields;
+  assert.equal(fields.Email, 'priya@old.example.com');
+  assert.equal(fields['LinkedIn URL'], profileUrl);
+  assert.equal('Company' in fields, false);
+});
+
+test('keep existing leaves a field empty on an existing record, fill if empty fills it', async () => {
+  const api = airtable([{ ...existingRecord, fields: { ...existingRecord.fields, Company: '' } }]);
+  const { service } = loadBackground({
+    fetch: api.fetch,
+    storage: { sync: { fieldMergeRules: { location: 'keepExisting', company: 'fillIfEmpty' } } }
+  });
+
+  await service.saveToAirtable({ fullName: 'Priya Raman', location: 'Berlin', company: 'New Co', profileUrl }, config, {});
+
+  const fields = api.writes[0].records[0].fields;
+  assert.equal('Location' in fields, false);
+  assert.equal(fields.Company, 'New Co');
+});
+
+test('keeps the email rule while records are matched on email', async () => {
+  const { document, chrome, panel, close } = await loadSidePanel({
+    storage: { sync: { airtableConfig: { mergeOn: 'email' }, fieldMergeRules: { email: 'fillIfEmpty', notes: 'overwrite' } } }
+  });
+
+  try {
+    assert.equal(document.getElementById('mapping-email-merge').hidden, true);
+    await panel.saveConfiguration();
+    assert.deepEqual(JSON.parse(JSON.stringify(chrome.storage.sync.values.fieldMergeRules)), { email: 'fillIfEmpty', notes: 'overwrite' });
+
+    // Matching on the LinkedIn URL again (which auto-saves) shows the rule the user set
+    const mergeOn = document.getElementById('mergeOn');
+    mergeOn.value = 'profileUrl';
+    mergeOn.dispatchEvent(new document.defaultView.Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(chrome.storage.sync.values.fieldMergeRules.email, 'fillIfEmpty');
+    const emailSelect = document.getElementById('mapping-email-merge');
+    assert.equal(emailSelect.hidden, false);
+    assert.equal(emailSelect.value, 'fillIfEmpty');
+  } finally {
+    close();
+  }
+});
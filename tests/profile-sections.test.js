@@ -0,0 +1,120 @@
+/**
+ * Certifications, languages and volunteer experience sections, mapped into
+ * multi-select or long text Airtable fields
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/extractor-dom.js';
+import { loadBackground, jsonResponse } from './helpers/extension-worker.js';
+
+/**
+ * Profile page with the given sections, keyed by their anchor id
+ */
+function profilePage(lang, sections) {
+  return `<!DOCTYPE html>
+<html lang="${lang}"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><h1 class="text-heading-xlarge">Priya Shah</h1></section>
+${Object.entries(sections).map(([id, items]) => `<section class="artdeco-card"><div id="${id}" class="pv-profile-card__anchor"></div>
+<div><h2><span aria-hidden="true">${id}</span></h2></div><div><ul>${items}</ul></div></section>`).join('\n')}
+</main></body></html>`;
+}
+
+/**
+ * Run one of the extractor's section methods on a page
+ */
+function extractSection(html, method) {
+  const page = loadPage(html, { url: 'https://www.linkedin.com/in/priya-shah/' });
+  try {
+    return JSON.parse(JSON.stringify(page.extractor[method]()));
+  } finally {
+    page.close();
+  }
+}
+
+/**
+ * Certification list item with the given caption lines
+ */
+function certification(captions) {
+  return `<li class="artdeco-list__item pvs-list__paged-list-item"><div class="mr1 t-bold"><span aria-hidden="true">AWS Solutions Architect</span></div>
+<span class="t-14 t-normal"><span aria-hidden="true">Amazon Web Services</span></span>
+${captions.map(caption => `<span class="t-14 t-normal t-black--light"><span aria-hidden="true">${caption}</span></span>`).join('\n')}
+<a class="optional-action-target-wrapper" href="https://aws.example/verify">Show credential</a></li>`;
+}
+
+for (const [lang, captions, expected] of [
+  ['en', ['Issued Jan 2022 · Expires Jan 2025', 'Credential ID ABC123'], ['Jan 2022', 'Jan 2025']],
+  ['de', ['Ausgestellt: Jan. 2022 · Gültig bis: Jan. 2025', 'Nachweis-ID ABC123'], ['Jan. 2022', 'Jan. 2025']],
+  ['fr', ['Délivrée le janv. 2022 · Expire le janv. 2025', 'ID de la certification ABC123'], ['janv. 2022', 'janv. 2025']]
+]) {
+  test(`reads certification dates and credential ID in ${lang}`, () => {
+    const [certificate] = extractSection(
+      profilePage(lang, { licenses_and_certifications: certification(captions) }),
+      'extractCertifications'
+    );
+
+    assert.deepEqual(certificate, {
+      name: 'AWS Solutions Architect',
+      issuer: 'Amazon Web Services',
+      issueDate: expected[0],
+      expirationDate: expected[1],
+      credentialId: 'ABC123',
+      credentialUrl: 'https://aws.example/verify'
+    });
+  });
+}
+
+test('reads languages with their proficiency', () => {
+  const languages = extractSection(profilePage('en', {
+    languages: `<li class="artdeco-list__item pvs-list__paged-list-item"><div class="mr1 t-bold"><span aria-hidden="true">English</span></div>
+<span class="t-14 t-normal t-black--light"><span aria-hidden="true">Native or bilingual proficiency</span></span></li>
+<li class="artdeco-list__item pvs-list__paged-list-item"><div class="mr1 t-bold"><span aria-hidden="true">Hindi</span></div></li>`
+  }), 'extractLanguages');
+
+  assert.deepEqual(languages, [
+    { name: 'English', proficiency: 'Native or bilingual proficiency' },
+    { name: 'Hindi', proficiency: '' }
+  ]);
+});
+
+test('reads volunteer roles with organization, cause and dates', () => {
+  const [volunteer] = extractSection(profilePage('en', {
+    volunteering_experience: `<li class="artdeco-list__item pvs-list__paged-list-item"><div class="mr1 t-bold"><span aria-hidden="true">Mentor</span></div>
+<span class="t-14 t-normal"><span aria-hidden="true">Code for Good</span></span>
+<span class="t-14 t-normal t-black--light"><span aria-hidden="true">Mar 2020 - Present · 4 yrs</span></span>
+<span class="t-14 t-normal t-black--light"><span aria-hidden="true">Education</span></span>
+<div class="inline-show-more-text"><span aria-hidden="true">Weekly sessions with new developers.</span></div></li>`
+  }), 'extractVolunteer');
+
+  assert.deepEqual(volunteer, {
+    role: 'Mentor',
+    organization: 'Code for Good',
+    cause: 'Education',
+    startDate: 'Mar 2020',
+    endDate: 'Present',
+    duration: '4 yrs',
+    description: 'Weekly sessions with new developers.'
+  });
+});
+
+test('maps the sections into multi-select and long text fields', async () => {
+  const schema = {
+    id: 'tblContacts',
+    fields: [
+      { name: 'Certifications', type: 'multilineText' },
+      { name: 'Languages', type: 'multipleSelects' },
+      { name: 'Volunteer', type: 'singleLineText' }
+    ]
+  };
+  const { service } = loadBackground({ fetch: () => jsonResponse({ tables: [schema] }) });
+
+  const fields = await service.transformFieldsForAirtable(service.mapContactDataToAirtable({
+    certifications: [{ name: 'AWS Solutions Architect', issuer: 'Amazon Web Services', issueDate: 'Jan 2022' }],
+    languages: [{ name: 'English', proficiency: 'Native' }, { name: 'Hindi', proficiency: '' }],
+    volunteer: [{ role: 'Mentor', organization: 'Code for Good', cause: 'Education' }]
+  }, {}), { apiToken: 'pat123', baseId: 'appBase', tableId: 'tblContacts' });
+
+  assert.equal(fields.Certifications, 'AWS Solutions Architect · Amazon Web Services · Jan 2022');
+  assert.equal(fields.Languages.join(), 'English,Hindi');
+  assert.equal(fields.Volunteer, 'Mentor · Code for Good · Education');
+});
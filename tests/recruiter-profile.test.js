@@ -0,0 +1,70 @@
+/**
+ * Recruiter profiles: candidate details and pipeline info in the contact payload
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPage, loadPage, readFixture, assertMatches } from './helpers/extractor-dom.js';
+
+test('extracts a Recruiter profile into the profile payload', async () => {
+  const profileData = await extractPage(readFixture('talent/profile'));
+
+  assertMatches(profileData, {
+    fullName: 'Lena Vogt',
+    headline: 'Backend Engineer at Contoso · Go, Kafka',
+    jobTitle: 'Backend Engineer',
+    company: 'Contoso',
+    location: 'Berlin, Germany',
+    bio: 'Backend engineer focused on event-driven systems.',
+    profileUrl: 'https://www.linkedin.com/in/lena-vogt-dev/',
+    recruiterUrl: 'https://www.linkedin.com/talent/profile/AEMAABcD123',
+    email: 'lena.vogt@example.com',
+    phone: '',
+    recruiterProjects: ['Senior Backend Engineer – Berlin', 'Platform Team Pipeline 2024'],
+    pipelineStage: 'Contacted',
+    experience: [
+      {
+        title: 'Backend Engineer',
+        company: 'Contoso',
+        startDate: 'Feb 2021',
+        endDate: 'Present',
+        duration: '3 yrs 9 mos',
+        location: 'Berlin, Germany'
+      },
+      {
+        title: 'Software Engineer',
+        company: 'Fabrikam',
+        startDate: 'Sep 2017',
+        endDate: 'Jan 2021',
+        description: 'Payments APIs.'
+      }
+    ],
+    education: [
+      {
+        school: 'Technische Universität München',
+        degree: 'Master of Science - MS',
+        fieldOfStudy: 'Informatics',
+        startYear: '2015',
+        endYear: '2017'
+      }
+    ],
+    skills: [
+      { name: 'Go', endorsements: null },
+      { name: 'Apache Kafka', endorsements: null }
+    ]
+  });
+});
+
+test('recognizes Recruiter profile URLs opened directly or from a project', () => {
+  const page = loadPage(readFixture('talent/profile'));
+  try {
+    const isProfile = url => page.window.eval(`RecruiterProfileExtractor.isRecruiterProfilePage(${JSON.stringify(url)})`);
+    const recruiterUrl = url => page.window.eval(`RecruiterProfileExtractor.getRecruiterUrl(${JSON.stringify(url)})`);
+
+    assert.equal(isProfile('https://www.linkedin.com/talent/profile/AEMAABcD123?trk=x'), true);
+    assert.equal(isProfile('https://www.linkedin.com/talent/hire/987654/manage/all'), false);
+    assert.equal(recruiterUrl('https://www.linkedin.com/talent/profile/AEMAABcD123?trk=x'), 'https://www.linkedin.com/talent/profile/AEMAABcD123');
+  } finally {
+    page.close();
+  }
+});
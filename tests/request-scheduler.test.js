@@ -0,0 +1,96 @@
+/**
+ * Request scheduler: Airtable requests stay under 5 per second per base and wait out 429s
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBackground, jsonResponse } from './helpers/extension-worker.js';
+
+test('sends at most 5 requests per second to a base, without holding up other bases', async () => {
+  const sent = [];
+  const { service } = loadBackground({
+    fetch: url => {
+      sent.push({ url, at: Date.now() });
+      return jsonResponse({});
+    }
+  });
+  const scheduler = service.requestScheduler;
+
+  const start = Date.now();
+  const requests = Array.from({ length: 11 }, (_, index) => scheduler.fetch('appA', `https://api.airtable.com/v0/appA/t?${index}`));
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await scheduler.fetch('appB', 'https://api.airtable.com/v0/appB/t');
+  await Promise.all(requests);
+
+  const baseA = sent.filter(request => request.url.includes('/appA/')).map(request => request.at);
+  // A few milliseconds of slack for when the stub records the request
+  baseA.forEach(time => {
+    assert.ok(baseA.filter(other => other >= time && other - time < 990).length <= 5);
+  });
+  assert.ok(baseA[10] - start >= 2000);
+  assert.ok(sent.find(request => request.url.includes('/appB/')).at - start < 1000);
+});
+
+test('waits for Retry-After on a 429 and sends the request again', async () => {
+  const sent = [];
+  const { service } = loadBackground({
+    fetch: () => {
+      sent.push(Date.now());
+      return sent.length === 1 ? jsonResponse({ errors: [] }, 429, { 'Retry-After': '1' }) : jsonResponse({ id: 'rec1' });
+    }
+  });
+
+  const response = await service.requestScheduler.fetch('appA', 'https://api.airtable.com/v0/appA/t', { method: 'POST' });
+
+  assert.equal(response.status, 200);
+  assert.equal(sent.length, 2);
+  assert.ok(sent[1] - sent[0] >= 1000);
+});
+
+test('gives back the 429 once the retries are used up', async () => {
+  let calls = 0;
+  const { service } = loadBackground({
+    fetch: () => {
+      calls++;
+      return jsonResponse({}, 429, { 'Retry-After': '0' });
+    }
+  });
+  const scheduler = service.requestScheduler;
+
+  const response = await scheduler.fetch('appA', 'https://api.airtable.com/v0/appA/t');
+
+  assert.equal(response.status, 429);
+  assert.equal(calls, scheduler.MAX_RATE_LIMIT_RETRIES + 1);
+});
+
+test('gives back a long 429 instead of waiting it out, and holds later requests to the base', async () => {
+  let calls = 0;
+  const { service } = loadBackground({
+    fetch: () => {
+      calls++;
+      return jsonResponse({}, 429, { 'Retry-After': '30' });
+    }
+  });
+  const scheduler = service.requestScheduler;
+
+  const start = Date.now();
+  const first = await scheduler.fetch('appA', 'https://api.airtable.com/v0/appA/t');
+  const second = await scheduler.fetch('appA', 'https://api.airtable.com/v0/appA/t');
+
+  assert.equal(first.status, 429);
+  assert.equal(second.status, 429);
+  assert.equal(second.headers.get('Retry-After'), '30');
+  assert.equal((await second.json()).error.type, 'RATE_LIMIT_REACHED');
+  assert.equal(calls, 1);
+  assert.ok(Date.now() - start < scheduler.MAX_INLINE_WAIT_MS);
+});
+
+test('reads Retry-After as seconds or a date and defaults to 30 seconds', () => {
+  const { service } = loadBackground({ fetch: () => jsonResponse({}) });
+  const scheduler = service.requestScheduler;
+  const retryAfter = header => scheduler.getRetryAfterMs({ headers: new Headers(header ? { 'Retry-After': header } : {}) });
+
+  assert.equal(retryAfter('2'), 2000);
+  assert.ok(Math.abs(retryAfter(new Date(Date.now() + 5000).toUTCString()) - 5000) <= 1000);
+  assert.equal(retryAfter(null), 30000);
+});
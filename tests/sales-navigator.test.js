@@ -0,0 +1,66 @@
+/**
+ * Sales Navigator lead pages: same payload as a profile page, plus tenure and the lead URL
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPage, readFixture, assertMatches } from './helpers/extractor-dom.js';
+
+test('extracts a lead into the profile payload', async () => {
+  const profileData = await extractPage(readFixture('sales/lead'));
+
+  assertMatches(profileData, {
+    fullName: 'Dana Whitfield',
+    headline: 'VP of Sales at Globex | Building revenue teams',
+    jobTitle: 'VP of Sales',
+    company: 'Globex',
+    location: 'Austin, Texas, United States',
+    bio: 'I build and coach B2B sales teams.',
+    profileUrl: 'https://www.linkedin.com/in/dana-whitfield/',
+    salesNavigatorUrl: 'https://www.linkedin.com/sales/lead/ACwAAA1b2c3,NAME_SEARCH,x9Yz',
+    profilePicture: 'https://media.licdn.com/dms/image/v2/dana-whitfield/profile-displayphoto-shrink_200_200/0/1700000000000',
+    roleTenure: '2 years 3 months',
+    companyTenure: '5 years 1 month',
+    connectionCount: 500,
+    experience: [
+      {
+        title: 'VP of Sales',
+        company: 'Globex',
+        startDate: 'Jul 2022',
+        endDate: 'Present',
+        duration: '2 yrs 3 mos',
+        location: 'Austin, Texas, United States'
+      },
+      {
+        title: 'Sales Director',
+        company: 'Initech',
+        startDate: 'Mar 2018',
+        endDate: 'Jun 2022',
+        duration: '4 yrs 4 mos',
+        location: ''
+      }
+    ],
+    education: [
+      {
+        school: 'University of Texas at Austin',
+        degree: 'Bachelor of Business Administration - BBA',
+        fieldOfStudy: 'Marketing',
+        startYear: '2008',
+        endYear: '2012'
+      }
+    ],
+    skills: []
+  });
+  assert.equal('openToWork' in profileData, false);
+});
+
+test('prefers the linked public profile and falls back to the lead URL', async () => {
+  const linked = readFixture('sales/lead').replace(
+    '<h1 data-anonymize="person-name"',
+    '<a href="https://www.linkedin.com/in/dana-w-42?trk=sales">View LinkedIn profile</a><h1 data-anonymize="person-name"'
+  );
+  const unlinked = readFixture('sales/lead').replace(/<code[\s\S]*<\/code>/, '');
+
+  assert.equal((await extractPage(linked)).profileUrl, 'https://www.linkedin.com/in/dana-w-42/');
+  assert.equal((await extractPage(unlinked)).profileUrl, 'https://www.linkedin.com/sales/lead/ACwAAA1b2c3,NAME_SEARCH,x9Yz');
+});
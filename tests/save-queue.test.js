@@ -0,0 +1,128 @@
+/**
+ * Save queue: saves that fail on network errors or rate limits are kept and retried with backoff
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBackground, jsonResponse } from './helpers/extension-worker.js';
+
+const config = { apiToken: 'pat123', baseId: 'appBase', tableId: 'tblContacts', preventDuplicates: true };
+const contact = { fullName: 'Priya Raman', headline: 'Product Designer', profileUrl: 'https://www.linkedin.com/in/priya-raman/' };
+
+function offline() {
+  throw new TypeError('Failed to fetch');
+}
+
+function airtable({ createStatus = 200 } = {}) {
+  return url => {
+    if (url.includes('/meta/bases/')) return jsonResponse({ tables: [] });
+    return createStatus === 200
+      ? jsonResponse({ records: [{ id: 'recNew1' }], createdRecords: ['recNew1'], updatedRecords: [] })
+      : jsonResponse({ error: { type: 'INVALID_VALUE_FOR_COLUMN', message: 'Bad value' } }, createStatus);
+  };
+}
+
+test('queues a contact when Airtable cannot be reached and schedules a retry', async () => {
+  const { chrome, send } = loadBackground({ fetch: offline, storage: { sync: { airtableConfig: config } } });
+
+  const response = await send({ action: 'saveToAirtable', data: contact, config, fieldMappings: {} });
+
+  assert.equal(response.success, false);
+  assert.equal(response.queued, true);
+
+  const [item] = chrome.storage.local.values.saveQueue;
+  assert.equal(item.kind, 'contact');
+  assert.equal(item.data.profileUrl, contact.profileUrl);
+  assert.equal(item.status, 'pending');
+  assert.equal(chrome.alarms.scheduled.retrySaveQueue.when, item.nextAttemptAt);
+});
+
+test('does not queue saves Airtable rejected', async () => {
+  const { chrome, send } = loadBackground({ fetch: airtable({ createStatus: 422 }) });
+
+  const response = await send({ action: 'saveToAirtable', data: contact, config, fieldMappings: {} });
+
+  assert.equal(response.success, false);
+  assert.notEqual(response.queued, true);
+  assert.equal(chrome.storage.local.values.saveQueue, undefined);
+});
+
+test('a due retry that succeeds leaves the queue and clears the alarm', async () => {
+  let fetchStub = offline;
+  const { chrome, service, send } = loadBackground({
+    fetch: (url, options) => fetchStub(url, options),
+    storage: { sync: { airtableConfig: config } }
+  });
+  await send({ action: 'saveToAirtable', data: contact, config, fieldMappings: {} });
+
+  fetchStub = airtable();
+  await send({ action: 'retrySaveQueue' });
+
+  assert.deepEqual(chrome.storage.local.values.saveQueue, []);
+  assert.equal(chrome.alarms.scheduled.retrySaveQueue, undefined);
+  assert.equal(service.processingSaveQueue, false);
+});
+
+test('backs off exponentially and gives up after the last attempt', async () => {
+  const { chrome, service, send } = loadBackground({ fetch: offline, storage: { sync: { airtableConfig: config } } });
+  const queue = service.saveQueue;
+  await send({ action: 'saveToAirtable', data: contact, config, fieldMappings: {} });
+
+  assert.deepEqual([1, 2, 3, 4].map(attempts => queue.getBackoffDelay(attempts)), [30000, 60000, 120000, 240000]);
+  assert.equal(queue.getBackoffDelay(20), queue.MAX_DELAY_MS);
+
+  for (let attempt = 1; attempt < queue.MAX_ATTEMPTS; attempt++) {
+    const [item] = chrome.storage.local.values.saveQueue;
+    item.nextAttemptAt = 0;
+    await service.processSaveQueue();
+  }
+
+  const [item] = chrome.storage.local.values.saveQueue;
+  assert.equal(item.status, 'failed');
+  assert.equal(item.attempts, queue.MAX_ATTEMPTS);
+  assert.equal(chrome.alarms.scheduled.retrySaveQueue, undefined);
+});
+
+test('a newer failed save of the same contact replaces the queued one', async () => {
+  const { chrome, send } = loadBackground({ fetch: offline });
+
+  await send({ action: 'saveToAirtable', data: contact, config, fieldMappings: {} });
+  await send({ action: 'saveToAirtable', data: { ...contact, headline: 'Design Lead' }, config, fieldMappings: {} });
+
+  const queue = chrome.storage.local.values.saveQueue;
+  assert.equal(queue.length, 1);
+  assert.equal(queue[0].data.headline, 'Design Lead');
+});
+
+test('backs off due items while Airtable is not configured instead of re-arming the alarm at once', async () => {
+  const { chrome, service, send } = loadBackground({ fetch: offline, storage: { sync: { airtableConfig: config } } });
+  await send({ action: 'saveToAirtable', data: contact, config, fieldMappings: {} });
+  delete chrome.storage.sync.values.airtableConfig;
+  chrome.storage.local.values.saveQueue[0].nextAttemptAt = 0;
+
+  const before = Date.now();
+  await service.processSaveQueue();
+
+  const [item] = chrome.storage.local.values.saveQueue;
+  assert.equal(item.status, 'pending');
+  assert.equal(item.attempts, 2);
+  assert.equal(item.lastError, 'Airtable is not configured');
+  assert.ok(item.nextAttemptAt >= before + service.saveQueue.getBackoffDelay(2));
+  assert.equal(chrome.alarms.scheduled.retrySaveQueue.when, item.nextAttemptAt);
+});
+
+test('changes made at the same time are applied one after the other', async () => {
+  const { chrome, service, send } = loadBackground({ fetch: offline, storage: { sync: { airtableConfig: config } } });
+  const queue = service.saveQueue;
+  await send({ action: 'saveToAirtable', data: contact, config, fieldMappings: {} });
+  const [queued] = chrome.storage.local.values.saveQueue;
+
+  const other = { fullName: 'Sam Lee', profileUrl: 'https://www.linkedin.com/in/sam-lee/' };
+  await Promise.all([
+    queue.remove(queued.id),
+    queue.enqueue('contact', other, {}, 'Failed to fetch'),
+    queue.recordFailure(queued.id, 'Failed to fetch', true)
+  ]);
+
+  assert.equal(chrome.storage.local.values.saveQueue.map(item => item.data.profileUrl).join(), other.profileUrl);
+});
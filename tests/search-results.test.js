@@ -0,0 +1,51 @@
+/**
+ * People search results mode: every person on the page is listed for bulk saving
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, readFixture } from './helpers/extractor-dom.js';
+
+function extractSearchResults(name) {
+  const page = loadPage(readFixture(name));
+  try {
+    return JSON.parse(JSON.stringify(page.extractor.searchResults.extractResults()));
+  } finally {
+    page.close();
+  }
+}
+
+test('lists name, headline, location and profile URL of each result', () => {
+  const results = extractSearchResults('search/people-results');
+
+  assert.deepEqual(results, [
+    {
+      fullName: 'Maria Garcia',
+      headline: 'Platform Engineer at Initech',
+      location: 'Madrid, Community of Madrid, Spain',
+      profileUrl: 'https://www.linkedin.com/in/maria-garcia-42/'
+    },
+    {
+      fullName: 'Tom Nguyen',
+      headline: 'Staff Platform Engineer | Kubernetes',
+      location: 'Greater Seattle Area',
+      profileUrl: 'https://www.linkedin.com/in/tom-nguyen/'
+    },
+    {
+      fullName: 'Aisha Khan',
+      headline: 'Engineering Manager, Platform',
+      location: '',
+      profileUrl: 'https://www.linkedin.com/in/aisha-khan/'
+    }
+  ]);
+});
+
+test('search pages load the search results content script', () => {
+  const page = loadPage(readFixture('search/people-results'));
+  try {
+    assert.equal(page.window.eval('SearchResultsExtractor.isSearchResultsPage()'), true);
+    assert.equal(page.extractor.isLinkedInProfilePage(), false);
+  } finally {
+    page.close();
+  }
+});
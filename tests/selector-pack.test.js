@@ -0,0 +1,111 @@
+/**
+ * Selector packs: imported packs are validated, versioned against the bundled
+ * pack, stored in chrome.storage and used by the extractors
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { extractPage } from './helpers/extractor-dom.js';
+import { loadSidePanel } from './helpers/side-panel-dom.js';
+
+test('rejects malformed, invalid and outdated packs', async () => {
+  const { chrome, panel, close } = await loadSidePanel();
+  const { selectorPack } = panel;
+
+  try {
+    await assert.rejects(selectorPack.importPack('{ not json'), { message: 'Selector pack is not valid JSON' });
+    await assert.rejects(
+      selectorPack.importPack(JSON.stringify({ version: '99.0.0', selectors: { fullName: ['div..name'] } })),
+      { message: '"fullName" has an invalid selector: div..name' }
+    );
+    await assert.rejects(
+      selectorPack.importPack(JSON.stringify({ version: 'latest', selectors: { fullName: 'h1' } })),
+      { message: '"version" must be a version string like "1.2.0"; "fullName" must be an array of selector strings' }
+    );
+    await assert.rejects(
+      selectorPack.importPack(JSON.stringify({ version: '0.9.0', selectors: {} })),
+      /^Error: Selector pack 0\.9\.0 is older than the bundled pack/
+    );
+
+    assert.equal('selectorPack' in chrome.storage.local.values, false);
+    assert.equal(selectorPack.isCustom(), false);
+  } finally {
+    close();
+  }
+});
+
+test('stores an imported pack over the bundled selectors', async () => {
+  const { chrome, document, panel, close } = await loadSidePanel();
+  const { selectorPack } = panel;
+  const bundledCompany = selectorPack.get('singleRoleCompany').join();
+
+  try {
+    await selectorPack.importPack(JSON.stringify({ version: '99.0.0', selectors: { fullName: ['.profile-name'] } }));
+    panel.refreshSelectorPackInfo();
+
+    assert.equal(chrome.storage.local.values.selectorPack.version, '99.0.0');
+    assert.equal(selectorPack.get('fullName').join(), '.profile-name');
+    // Keys the pack does not define keep their bundled selectors
+    assert.equal(selectorPack.get('singleRoleCompany').join(), bundledCompany);
+    assert.equal(document.getElementById('selectorPackVersion').textContent, '99.0.0');
+    assert.equal(document.getElementById('selectorPackSource').textContent, 'Imported');
+
+    assert.equal(selectorPack.compareVersions('1.10.0', '1.9.3') > 0, true);
+    assert.equal(selectorPack.compareVersions('2.0.0', '2.0.0'), 0);
+  } finally {
+    close();
+  }
+});
+
+test('extracts with the selectors of a stored pack', async () => {
+  const profileData = await extractPage(`<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><div class="profile-name">Jane Doe</div></section>
+</main></body></html>`, {
+    url: 'https://www.linkedin.com/in/jane-doe/',
+    storage: { local: { selectorPack: { version: '99.0.0', selectors: { fullName: ['.profile-name'] } } } }
+  });
+
+  assert.equal(profileData.fullName, 'Jane Doe');
+  assert.equal(profileData.fieldSources.fullName.source, '.profile-name');
+});
+
+test('keeps a pack imported before the bundled pack was updated, and says it is older', async () => {
+  const storedPack = { version: '1.0.0', selectors: { fullName: ['.profile-name'] }, importedAt: 1 };
+  const { chrome, document, panel, close } = await loadSidePanel({ storage: { local: { selectorPack: storedPack } } });
+  const { selectorPack } = panel;
+
+  try {
+    assert.equal(selectorPack.get('fullName').join(), '.profile-name');
+    assert.ok(selectorPack.get('skillsDetailsSection').length > 0);
+    assert.equal(document.getElementById('selectorPackVersion').textContent, '1.0.0');
+    assert.match(document.getElementById('selectorPackSource').textContent, /^Imported \(older than bundled \d+\.\d+\.\d+\)$/);
+    assert.equal(chrome.storage.local.values.selectorPack.version, '1.0.0');
+
+    await selectorPack.resetToDefault();
+    panel.refreshSelectorPackInfo();
+    assert.equal(document.getElementById('selectorPackSource').textContent, 'Bundled');
+  } finally {
+    close();
+  }
+
+  const profileData = await extractPage(`<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><div class="profile-name">Jane Doe</div></section>
+</main></body></html>`, { url: 'https://www.linkedin.com/in/jane-doe/', storage: { local: { selectorPack: storedPack } } });
+  assert.equal(profileData.fieldSources.fullName.source, '.profile-name');
+});
+
+test('imports the example pack from the README', async () => {
+  const readme = readFileSync(new URL('../README.md', import.meta.url), 'utf8');
+  const example = readme.split('### Selector Packs')[1].match(/```json\n([\s\S]*?)```/)[1];
+  const { panel, close } = await loadSidePanel();
+
+  try {
+    await panel.selectorPack.importPack(example);
+    assert.equal(panel.selectorPack.isCustom(), true);
+  } finally {
+    close();
+  }
+});
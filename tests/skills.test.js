@@ -0,0 +1,104 @@
+/**
+ * Skills: names and endorsement counts from the profile and the full
+ * /details/skills/ list, saved as multi-select options
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/extractor-dom.js';
+import { loadBackground, jsonResponse } from './helpers/extension-worker.js';
+
+/**
+ * Skill list item with an optional endorsement line
+ */
+function skill(name, endorsement = '') {
+  return `<li class="artdeco-list__item pvs-list__paged-list-item">
+<div class="mr1 t-bold"><span aria-hidden="true">${name}</span></div>
+${endorsement && `<div class="pvs-entity__sub-components"><span aria-hidden="true">${endorsement}</span></div>`}
+</li>`;
+}
+
+const profilePage = `<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><h1 class="text-heading-xlarge">Jane Doe</h1></section>
+<section class="artdeco-card"><div id="skills" class="pv-profile-card__anchor"></div>
+<div><h2><span aria-hidden="true">Skills</span></h2></div>
+<div><ul>
+${skill('Python', '1,204 endorsements')}
+${skill('Data Engineering', 'Endorsed by Sam Lee and 11 others')}
+${skill('python')}
+${skill('Kafka')}
+</ul></div></section>
+</main></body></html>`;
+
+const detailsPage = `<!DOCTYPE html>
+<html lang="en"><head><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card"><h2>Skills</h2><div><ul>
+${skill('Python', '1,204 endorsements')}
+${skill('Data Engineering', 'Endorsed by Sam Lee and 11 others')}
+${skill('Kafka')}
+${skill('Airflow', 'Endorsed by Sam Lee')}
+</ul></div></section>
+</main></body></html>`;
+
+test('extracts skills with endorsement counts, skipping duplicates', () => {
+  const { extractor, close } = loadPage(profilePage, { url: 'https://www.linkedin.com/in/jane-doe/' });
+
+  try {
+    assert.deepEqual(JSON.parse(JSON.stringify(extractor.extractSkills())), [
+      { name: 'Python', endorsements: 1204 },
+      { name: 'Data Engineering', endorsements: 12 },
+      { name: 'Kafka', endorsements: null }
+    ]);
+  } finally {
+    close();
+  }
+});
+
+for (const [lang, endorsements, endorsedBy, showAll] of [
+  ['fr', '1 204 validations', 'Validé par Sam Lee et 11 autres personnes', 'Afficher les 24 compétences'],
+  ['de', '1.204 Bestätigungen', 'Bestätigt von Sam Lee und 11 weiteren Personen', 'Alle 24 Kenntnisse anzeigen'],
+  ['es', '1.204 validaciones', 'Validado por Sam Lee y 11 personas más', 'Mostrar las 24 aptitudes'],
+  ['pt', '1.204 validações', 'Validado por Sam Lee e mais 11 pessoas', 'Exibir todas as 24 competências'],
+  ['nl', '1.204 onderschrijvingen', 'Onderschreven door Sam Lee en 11 anderen', 'Alle 24 vaardigheden weergeven']
+]) {
+  test(`reads endorsement counts and skips the "show all" link in ${lang}`, () => {
+    const { extractor, close } = loadPage(profilePage
+      .replace('lang="en"', `lang="${lang}"`)
+      .replace('1,204 endorsements', endorsements)
+      .replace('Endorsed by Sam Lee and 11 others', endorsedBy)
+      .replace('</ul>', `${skill(showAll)}</ul>`), { url: 'https://www.linkedin.com/in/jane-doe/' });
+
+    try {
+      assert.deepEqual(JSON.parse(JSON.stringify(extractor.extractSkills())), [
+        { name: 'Python', endorsements: 1204 },
+        { name: 'Data Engineering', endorsements: 12 },
+        { name: 'Kafka', endorsements: null }
+      ]);
+    } finally {
+      close();
+    }
+  });
+}
+
+test('merges the full /details/skills/ list into the same profile', async () => {
+  const { extractor, close } = loadPage(detailsPage, { url: 'https://www.linkedin.com/in/jane-doe/details/skills/' });
+
+  try {
+    extractor.profileData = { fullName: 'Jane Doe', profileUrl: 'https://www.linkedin.com/in/jane-doe/', skills: [] };
+    await extractor.extractProfileDetailsPage();
+
+    assert.equal(extractor.profileData.fullName, 'Jane Doe');
+    assert.equal(extractor.profileData.skills.map(entry => entry.name).join(), 'Python,Data Engineering,Kafka,Airflow');
+    assert.equal(extractor.profileData.skills[3].endorsements, 1);
+  } finally {
+    close();
+  }
+});
+
+test('saves skills as multi-select options', () => {
+  const { service } = loadBackground({ fetch: () => jsonResponse({ tables: [] }) });
+  const skills = [{ name: 'Python', endorsements: 1204 }, { name: 'Kafka', endorsements: null }];
+
+  assert.equal(service.formatStructuredEntries(skills, 'multipleSelects').join(), 'Python,Kafka');
+});
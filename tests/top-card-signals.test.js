@@ -0,0 +1,159 @@
+/**
+ * Top card signals: follower and connection counts and profile badges, saved
+ * into number and checkbox fields
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPage } from './helpers/extractor-dom.js';
+import { loadBackground, jsonResponse } from './helpers/extension-worker.js';
+
+/**
+ * Profile page with the given top card contents and sections after it
+ */
+function profilePage(topCard, sections = '') {
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta name="fixture-url" content="https://www.linkedin.com/in/priya-shah/"><title>LinkedIn</title></head><body><main>
+<section class="artdeco-card pv-top-card"><div class="ph5">
+<h1 class="text-heading-xlarge">Priya Shah</h1>
+<div class="text-body-medium break-words">Product Designer at Northwind</div>
+${topCard}
+</div></section>
+${sections}
+</main></body></html>`;
+}
+
+test('reads counts and badges from the top card', async () => {
+  const profileData = await extractPage(profilePage(`
+<img src="https://media.licdn.com/frame.png" alt="#OPEN_TO_WORK">
+<span class="pv-member-badge--for-top-card" aria-label="Premium member"></span>
+<div class="text-body-small">Talks about #design and #accessibility</div>
+<ul><li class="text-body-small"><span class="t-bold">12.5K</span> followers</li><li class="text-body-small"><span class="t-bold">500+</span> connections</li></ul>`));
+
+  assert.equal(profileData.followerCount, 12500);
+  assert.equal(profileData.connectionCount, 500);
+  assert.equal(profileData.openToWork, true);
+  assert.equal(profileData.hiring, false);
+  assert.equal(profileData.premium, true);
+  assert.equal(profileData.creator, true);
+});
+
+test('does not take follower counts from other entities on the page', async () => {
+  const profileData = await extractPage(profilePage(
+    '<ul><li class="text-body-small"><span class="t-bold">312</span> connections</li></ul>',
+    `<section class="artdeco-card"><div id="interests" class="pv-profile-card__anchor"></div>
+<div><h2><span aria-hidden="true">Interests</span></h2></div>
+<ul><li><span aria-hidden="true">Northwind</span><span aria-hidden="true">48,210 followers</span></li></ul></section>
+<aside><h2>People also viewed</h2><p>Sam Lee · 9,876 followers</p></aside>`
+  ));
+
+  assert.equal(profileData.connectionCount, 312);
+  assert.equal(profileData.followerCount, null);
+});
+
+const config = { apiToken: 'pat123', baseId: 'appBase', tableId: 'tblContacts' };
+
+test('saves counts as numbers and badges as checkboxes', async () => {
+  const schema = {
+    id: 'tblContacts',
+    fields: [
+      { name: 'Followers', type: 'number' },
+      { name: 'Connections', type: 'number' },
+      { name: 'Open to Work', type: 'checkbox' },
+      { name: 'Hiring', type: 'checkbox' }
+    ]
+  };
+  const { service } = loadBackground({ fetch: () => jsonResponse({ tables: [schema] }) });
+
+  const { validFields } = await service.prepareRecordFields({
+    followerCount: 12500,
+    connectionCount: 500,
+    openToWork: true,
+    hiring: false
+  }, config, {});
+
+  // The table has a Hiring column, so a false flag is sent to clear it
+  assert.deepEqual({ ...validFields }, { Followers: 12500, Connections: 500, 'Open to Work': true, Hiring: false });
+});
+
+/**
+ * Airtable stub for a contacts table as the extension first shipped it, recording writes.
+ * With schemaFailure the schema request fails, so fields are sent unchecked.
+ */
+function baselineTable({ schemaFailure = false } = {}) {
+  const schema = {
+    id: 'tblContacts',
+    fields: ['Name', 'Job Title', 'Company', 'Location', 'LinkedIn URL', 'Profile Picture', 'Tag', 'Notes', 'Contact Date', 'Follow Up On']
+      .map(name => ({ name, type: name === 'LinkedIn URL' ? 'url' : 'singleLineText' }))
+  };
+  const writes = [];
+
+  return {
+    writes,
+    fetch: (url, options) => {
+      if (url.includes('/meta/bases/')) {
+        return schemaFailure ? jsonResponse({ error: 'NOT_AUTHORIZED' }, 403) : jsonResponse({ tables: [schema] });
+      }
+      if (options.method === 'GET') return jsonResponse({ records: [] });
+
+      const body = JSON.parse(options.body);
+      writes.push(body);
+      return jsonResponse({ records: body.records.map((record, index) => ({ id: `rec${index + 1}`, fields: record.fields })) });
+    }
+  };
+}
+
+for (const schemaFailure of [false, true]) {
+  test(`leaves badges out of tables without their columns${schemaFailure ? ' when the schema cannot be read' : ''}`, async () => {
+    const table = baselineTable({ schemaFailure });
+    const { service } = loadBackground({ fetch: table.fetch });
+
+    const result = await service.saveToAirtable({
+      fullName: 'Priya Shah',
+      company: 'Northwind',
+      profileUrl: 'https://www.linkedin.com/in/priya-shah/',
+      followerCount: null,
+      connectionCount: null,
+      openToWork: false,
+      hiring: false,
+      premium: false,
+      creator: false
+    }, config, {});
+
+    assert.equal(result.success, true);
+    assert.equal(result.excludedFields.length, 0);
+    assert.deepEqual(Object.keys(table.writes[0].records[0].fields).sort(), ['Company', 'LinkedIn URL', 'Name']);
+  });
+}
+
+test('sends a false badge to a column the user mapped', () => {
+  const { service } = loadBackground({ fetch: () => jsonResponse({ tables: [] }) });
+  const fields = service.mapContactDataToAirtable({ fullName: 'Priya Shah', openToWork: false, hiring: false }, { openToWork: 'Looking' });
+
+  assert.equal(fields.Looking, false);
+  assert.equal('Hiring' in fields, false);
+});
+
+test('skips default fields the table has no column for without calling them type mismatches', async () => {
+  const table = baselineTable();
+  const { service } = loadBackground({ fetch: table.fetch });
+
+  const result = await service.saveToAirtable({
+    fullName: 'Priya Shah',
+    headline: 'Product Designer at Northwind',
+    profileUrl: 'https://www.linkedin.com/in/priya-shah/',
+    followerCount: 12500,
+    connectionCount: 500,
+    openToWork: true,
+    salesNavigatorUrl: 'https://www.linkedin.com/sales/lead/ACwAAA123,NAME_SEARCH',
+    roleTenure: '2 years 3 months'
+  }, config, { connectionCount: 'Connection Count' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.excludedFields.length, 0);
+  assert.deepEqual(Object.keys(table.writes[0].records[0].fields).sort(), ['LinkedIn URL', 'Name']);
+  // Only the column the user mapped is worth mentioning
+  assert.equal(result.missingFields.join(), 'Connection Count');
+  assert.match(result.message, /\(not in table: Connection Count\)$/);
+  assert.doesNotMatch(result.message, /type mismatch/);
+});
@@ -0,0 +1,108 @@
+/**
+ * Saves use Airtable's upsert: one request that matches on LinkedIn URL or email
+ * and reports whether the record was created or updated
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBackground, jsonResponse } from './helpers/extension-worker.js';
+
+const config = { apiToken: 'pat123', baseId: 'appBase', tableId: 'tblContacts', companyTableId: 'tblCompanies' };
+const contact = { fullName: 'Priya Raman', email: 'priya@example.com', profileUrl: 'https://www.linkedin.com/in/priya-raman/' };
+
+/**
+ * Airtable stub that records write requests; existingIds are reported as updated
+ */
+function airtable(existingIds = []) {
+  const writes = [];
+  let nextId = 1;
+
+  return {
+    writes,
+    fetch: (url, options) => {
+      if (url.includes('/meta/bases/')) return jsonResponse({ tables: [] });
+
+      const body = JSON.parse(options.body);
+      writes.push({ method: options.method, url, body });
+      if (options.method === 'POST') return jsonResponse({ records: [{ id: `recPost${nextId++}` }] });
+
+      const records = body.records.map(record => ({ id: existingIds.shift() || `recNew${nextId++}`, fields: record.fields }));
+      const ids = records.map(record => record.id);
+      return jsonResponse({
+        records,
+        createdRecords: ids.filter(id => !id.startsWith('recOld')),
+        updatedRecords: ids.filter(id => id.startsWith('recOld'))
+      });
+    }
+  };
+}
+
+test('upserts on the LinkedIn URL in a single request', async () => {
+  const api = airtable();
+  const { service } = loadBackground({ fetch: api.fetch });
+
+  const result = await service.saveToAirtable(contact, config, {});
+
+  assert.equal(api.writes.length, 1);
+  const [write] = api.writes;
+  assert.equal(write.method, 'PATCH');
+  assert.equal(write.url, 'https://api.airtable.com/v0/appBase/tblContacts');
+  assert.deepEqual(write.body.performUpsert, { fieldsToMergeOn: ['LinkedIn URL'] });
+  assert.equal(write.body.records[0].fields['LinkedIn URL'], contact.profileUrl);
+  assert.equal(write.body.typecast, true);
+
+  assert.equal(result.success, true);
+  assert.equal(result.isUpdate, false);
+  assert.equal(result.recordId, 'recNew1');
+  assert.match(result.message, /saved successfully.*recNew1/);
+});
+
+test('reports an updated record', async () => {
+  const api = airtable(['recOld7']);
+  const { service } = loadBackground({ fetch: api.fetch });
+
+  const result = await service.saveToAirtable(contact, config, {});
+
+  assert.equal(result.isUpdate, true);
+  assert.equal(result.recordId, 'recOld7');
+  assert.match(result.message, /updated successfully.*recOld7/);
+});
+
+test('merges on the mapped email field when configured, falling back to the LinkedIn URL', async () => {
+  const api = airtable();
+  const { service } = loadBackground({ fetch: api.fetch });
+  const emailConfig = { ...config, mergeOn: 'email' };
+
+  await service.saveToAirtable(contact, emailConfig, { email: 'Work Email' });
+  await service.saveToAirtable({ ...contact, email: '' }, emailConfig, { email: 'Work Email' });
+
+  assert.deepEqual(api.writes.map(write => write.body.performUpsert.fieldsToMergeOn), [['Work Email'], ['LinkedIn URL']]);
+});
+
+test('creates without matching when duplicate prevention is off', async () => {
+  const api = airtable();
+  const { service } = loadBackground({ fetch: api.fetch });
+
+  const result = await service.saveToAirtable(contact, { ...config, preventDuplicates: false }, {});
+
+  assert.equal(api.writes[0].method, 'POST');
+  assert.equal(api.writes[0].body.performUpsert, undefined);
+  assert.equal(result.recordId, 'recPost1');
+  assert.equal(result.isUpdate, false);
+});
+
+test('bulk saves and companies report created and updated records', async () => {
+  const api = airtable(['recOld1']);
+  const { service } = loadBackground({ fetch: api.fetch });
+
+  const batch = await service.saveManyToAirtable([contact, { fullName: 'Daniel Okafor', profileUrl: 'https://www.linkedin.com/in/daniel-okafor/' }], config, {});
+  assert.equal(batch.createdCount, 1);
+  assert.equal(batch.updatedCount, 1);
+  assert.match(batch.message, /1 created, 1 updated/);
+
+  const company = await service.saveCompanyToAirtable({ name: 'Acme', profileUrl: 'https://www.linkedin.com/company/acme/' }, config, {});
+  assert.equal(api.writes.length, 2);
+  assert.equal(api.writes[1].url, 'https://api.airtable.com/v0/appBase/tblCompanies');
+  assert.deepEqual(api.writes[1].body.performUpsert, { fieldsToMergeOn: ['LinkedIn URL'] });
+  assert.match(company.message, /^Company saved successfully/);
+});